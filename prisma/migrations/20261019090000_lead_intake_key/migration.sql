@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "leadIntakeKey" TEXT;
+
+-- Backfill existing organizations with a random key
+UPDATE "Organization" SET "leadIntakeKey" = gen_random_uuid()::text WHERE "leadIntakeKey" IS NULL;
+
+ALTER TABLE "Organization" ALTER COLUMN "leadIntakeKey" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Organization_leadIntakeKey_key" ON "Organization"("leadIntakeKey");
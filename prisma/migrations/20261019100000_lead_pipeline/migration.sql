@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "LeadStatus" AS ENUM ('new', 'contacted', 'quoted', 'won', 'lost');
+
+-- CreateEnum
+CREATE TYPE "LeadActivityType" AS ENUM ('STATUS_CHANGE', 'NOTE', 'ASSIGNMENT', 'FOLLOW_UP');
+
+-- Map legacy free-form statuses onto the pipeline before the type change
+UPDATE "Lead" SET "status" = 'contacted' WHERE "status" = 'in_progress';
+UPDATE "Lead" SET "status" = 'new' WHERE "status" NOT IN ('new', 'contacted', 'quoted', 'won', 'lost');
+
+-- AlterTable
+ALTER TABLE "Lead" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "Lead" ALTER COLUMN "status" TYPE "LeadStatus" USING ("status"::"LeadStatus");
+ALTER TABLE "Lead" ALTER COLUMN "status" SET DEFAULT 'new';
+ALTER TABLE "Lead" ADD COLUMN     "lostReason" TEXT,
+ADD COLUMN     "followUpAt" TIMESTAMP(3),
+ADD COLUMN     "assignedToId" TEXT;
+
+-- CreateTable
+CREATE TABLE "LeadActivity" (
+    "id" SERIAL NOT NULL,
+    "type" "LeadActivityType" NOT NULL,
+    "fromStatus" "LeadStatus",
+    "toStatus" "LeadStatus",
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "leadId" INTEGER NOT NULL,
+    "accountId" TEXT,
+
+    CONSTRAINT "LeadActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Lead_organizationId_followUpAt_idx" ON "Lead"("organizationId", "followUpAt");
+
+-- AddForeignKey
+ALTER TABLE "Lead" ADD CONSTRAINT "Lead_assignedToId_fkey" FOREIGN KEY ("assignedToId") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LeadActivity" ADD CONSTRAINT "LeadActivity_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "Lead"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LeadActivity" ADD CONSTRAINT "LeadActivity_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
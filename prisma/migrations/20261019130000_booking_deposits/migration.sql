@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "DepositStatus" AS ENUM ('NONE', 'HELD', 'PARTIALLY_REFUNDED', 'REFUNDED', 'FORFEITED');
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "depositAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "depositMethod" "PaymentMethod",
+ADD COLUMN     "depositStatus" "DepositStatus" NOT NULL DEFAULT 'NONE',
+ADD COLUMN     "depositCollectedAt" TIMESTAMP(3),
+ADD COLUMN     "depositRefundAmount" DOUBLE PRECISION,
+ADD COLUMN     "depositRefundMethod" "PaymentMethod",
+ADD COLUMN     "depositSettledAt" TIMESTAMP(3),
+ADD COLUMN     "depositSettledById" TEXT;
+
+-- CreateTable
+CREATE TABLE "DepositDeduction" (
+    "id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bookingId" TEXT NOT NULL,
+    "createdById" TEXT,
+
+    CONSTRAINT "DepositDeduction_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_depositSettledById_fkey" FOREIGN KEY ("depositSettledById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositDeduction" ADD CONSTRAINT "DepositDeduction_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositDeduction" ADD CONSTRAINT "DepositDeduction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "Bike" ADD COLUMN     "category" TEXT;
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "priceBreakdown" JSONB;
+
+-- CreateTable
+CREATE TABLE "RateCard" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT,
+    "hourlyRate" DOUBLE PRECISION,
+    "dailyRate" DOUBLE PRECISION NOT NULL,
+    "weeklyRate" DOUBLE PRECISION,
+    "monthlyRate" DOUBLE PRECISION,
+    "weekendSurchargePct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "holidaySurchargePct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "bikeId" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "RateCard_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RateCardSeason" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "hourlyRate" DOUBLE PRECISION,
+    "dailyRate" DOUBLE PRECISION,
+    "weeklyRate" DOUBLE PRECISION,
+    "monthlyRate" DOUBLE PRECISION,
+    "rateCardId" TEXT NOT NULL,
+
+    CONSTRAINT "RateCardSeason_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Holiday" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "Holiday_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RateCard_organizationId_active_idx" ON "RateCard"("organizationId", "active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Holiday_organizationId_date_key" ON "Holiday"("organizationId", "date");
+
+-- AddForeignKey
+ALTER TABLE "RateCard" ADD CONSTRAINT "RateCard_bikeId_fkey" FOREIGN KEY ("bikeId") REFERENCES "Bike"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RateCard" ADD CONSTRAINT "RateCard_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RateCardSeason" ADD CONSTRAINT "RateCardSeason_rateCardId_fkey" FOREIGN KEY ("rateCardId") REFERENCES "RateCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Holiday" ADD CONSTRAINT "Holiday_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
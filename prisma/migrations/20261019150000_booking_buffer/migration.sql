@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "bookingBufferMinutes" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "lateGraceMinutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lateFeeHourlyRate" DOUBLE PRECISION,
+ADD COLUMN     "lateFeeDailyRate" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "returnedAt" TIMESTAMP(3),
+ADD COLUMN     "lateFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Returns used to overwrite endDate with the return time
+UPDATE "Booking" SET "returnedAt" = "endDate" WHERE "status" = 'RETURNED';
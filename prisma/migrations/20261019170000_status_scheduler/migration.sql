@@ -0,0 +1,25 @@
+-- AlterEnum
+ALTER TYPE "BookingStatus" ADD VALUE 'OVERDUE';
+
+-- CreateTable
+CREATE TABLE "StatusTransition" (
+    "id" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'scheduler',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "StatusTransition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StatusTransition_organizationId_createdAt_idx" ON "StatusTransition"("organizationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StatusTransition_entityType_entityId_idx" ON "StatusTransition"("entityType", "entityId");
+
+-- AddForeignKey
+ALTER TABLE "StatusTransition" ADD CONSTRAINT "StatusTransition_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
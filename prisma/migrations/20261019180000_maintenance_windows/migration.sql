@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "MaintenanceWindow" (
+    "id" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "reason" TEXT,
+    "workshop" TEXT,
+    "cost" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "bikeId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "MaintenanceWindow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MaintenanceWindow_bikeId_startDate_idx" ON "MaintenanceWindow"("bikeId", "startDate");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceWindow_organizationId_startDate_idx" ON "MaintenanceWindow"("organizationId", "startDate");
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceWindow" ADD CONSTRAINT "MaintenanceWindow_bikeId_fkey" FOREIGN KEY ("bikeId") REFERENCES "Bike"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceWindow" ADD CONSTRAINT "MaintenanceWindow_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Bikes already flagged for maintenance keep it as an open-ended window
+INSERT INTO "MaintenanceWindow" ("id", "startDate", "reason", "updatedAt", "bikeId", "organizationId")
+SELECT gen_random_uuid()::text, CURRENT_TIMESTAMP, 'Manual', CURRENT_TIMESTAMP, "id", "organizationId"
+FROM "Bike"
+WHERE "status" = 'MAINTENANCE';
@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "OdometerSource" AS ENUM ('CHECKOUT', 'RETURN', 'SERVICE', 'MANUAL');
+
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "serviceIntervalDays" INTEGER,
+ADD COLUMN     "serviceIntervalKm" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Bike" ADD COLUMN     "odometerKm" INTEGER,
+ADD COLUMN     "serviceIntervalDays" INTEGER,
+ADD COLUMN     "serviceIntervalKm" INTEGER;
+
+-- CreateTable
+CREATE TABLE "OdometerReading" (
+    "id" TEXT NOT NULL,
+    "km" INTEGER NOT NULL,
+    "source" "OdometerSource" NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bikeId" TEXT NOT NULL,
+    "bookingId" TEXT,
+    "recordedById" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "OdometerReading_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ServiceRecord" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "odometerKm" INTEGER,
+    "workDone" TEXT NOT NULL,
+    "parts" JSONB,
+    "cost" DOUBLE PRECISION,
+    "workshop" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bikeId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "ServiceRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OdometerReading_bikeId_recordedAt_idx" ON "OdometerReading"("bikeId", "recordedAt");
+
+-- CreateIndex
+CREATE INDEX "ServiceRecord_bikeId_date_idx" ON "ServiceRecord"("bikeId", "date");
+
+-- AddForeignKey
+ALTER TABLE "OdometerReading" ADD CONSTRAINT "OdometerReading_bikeId_fkey" FOREIGN KEY ("bikeId") REFERENCES "Bike"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OdometerReading" ADD CONSTRAINT "OdometerReading_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OdometerReading" ADD CONSTRAINT "OdometerReading_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OdometerReading" ADD CONSTRAINT "OdometerReading_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServiceRecord" ADD CONSTRAINT "ServiceRecord_bikeId_fkey" FOREIGN KEY ("bikeId") REFERENCES "Bike"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServiceRecord" ADD CONSTRAINT "ServiceRecord_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServiceRecord" ADD CONSTRAINT "ServiceRecord_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
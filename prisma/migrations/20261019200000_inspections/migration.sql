@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "InspectionType" AS ENUM ('CHECKOUT', 'CHECKIN');
+
+-- CreateTable
+CREATE TABLE "Inspection" (
+    "id" TEXT NOT NULL,
+    "type" "InspectionType" NOT NULL,
+    "odometerKm" INTEGER,
+    "fuelLevelPct" INTEGER,
+    "helmetCount" INTEGER NOT NULL DEFAULT 0,
+    "damage" JSONB NOT NULL DEFAULT '[]',
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bookingId" TEXT NOT NULL,
+    "inspectedById" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "Inspection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InspectionPhoto" (
+    "id" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "area" TEXT,
+    "caption" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "inspectionId" TEXT NOT NULL,
+
+    CONSTRAINT "InspectionPhoto_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Inspection_bookingId_type_key" ON "Inspection"("bookingId", "type");
+
+-- AddForeignKey
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_inspectedById_fkey" FOREIGN KEY ("inspectedById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InspectionPhoto" ADD CONSTRAINT "InspectionPhoto_inspectionId_fkey" FOREIGN KEY ("inspectionId") REFERENCES "Inspection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Customer" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "address" TEXT,
+    "idNumber" TEXT,
+    "licenceNumber" TEXT,
+    "licenceExpiry" TIMESTAMP(3),
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "Customer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_organizationId_phone_key" ON "Customer"("organizationId", "phone");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Customer" ADD CONSTRAINT "Customer_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: one customer per normalized phone, named after the latest
+-- booking. Mirrors normalizePhone() with the default country code 91.
+CREATE TEMP TABLE "_booking_phone" AS
+SELECT "id", "organizationId", "customerName", "createdAt",
+       CASE
+         WHEN length(d) = 10 THEN '+91' || d
+         WHEN length(d) = 11 AND left(d, 1) = '0' THEN '+91' || substr(d, 2)
+         ELSE '+' || d
+       END AS "phone"
+FROM (
+  SELECT "id", "organizationId", "customerName", "createdAt",
+         regexp_replace("phone", '[^0-9]', '', 'g') AS d
+  FROM "Booking"
+) b
+WHERE length(d) >= 7;
+
+INSERT INTO "Customer" ("id", "name", "phone", "updatedAt", "organizationId")
+SELECT DISTINCT ON ("organizationId", "phone")
+       gen_random_uuid()::text, "customerName", "phone", CURRENT_TIMESTAMP, "organizationId"
+FROM "_booking_phone"
+ORDER BY "organizationId", "phone", "createdAt" DESC;
+
+UPDATE "Booking" b
+SET "customerId" = c."id"
+FROM "_booking_phone" bp
+JOIN "Customer" c ON c."organizationId" = bp."organizationId" AND c."phone" = bp."phone"
+WHERE b."id" = bp."id";
+
+DROP TABLE "_booking_phone";
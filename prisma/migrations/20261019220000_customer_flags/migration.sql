@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "CustomerFlagLevel" AS ENUM ('WARNING', 'BLACKLIST');
+
+-- CreateEnum
+CREATE TYPE "CustomerFlagReason" AS ENUM ('DAMAGE', 'NON_PAYMENT', 'LATE_RETURNS', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "CustomerFlag" (
+    "id" TEXT NOT NULL,
+    "level" "CustomerFlagLevel" NOT NULL,
+    "reason" "CustomerFlagReason" NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "customerId" TEXT NOT NULL,
+    "flaggedById" TEXT,
+    "clearedAt" TIMESTAMP(3),
+    "clearNote" TEXT,
+    "clearedById" TEXT,
+
+    CONSTRAINT "CustomerFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RiskOverride" (
+    "id" TEXT NOT NULL,
+    "reason" TEXT,
+    "flags" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bookingId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "accountId" TEXT,
+
+    CONSTRAINT "RiskOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Customer_organizationId_licenceNumber_idx" ON "Customer"("organizationId", "licenceNumber");
+
+-- CreateIndex
+CREATE INDEX "CustomerFlag_customerId_clearedAt_idx" ON "CustomerFlag"("customerId", "clearedAt");
+
+-- AddForeignKey
+ALTER TABLE "CustomerFlag" ADD CONSTRAINT "CustomerFlag_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerFlag" ADD CONSTRAINT "CustomerFlag_flaggedById_fkey" FOREIGN KEY ("flaggedById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerFlag" ADD CONSTRAINT "CustomerFlag_clearedById_fkey" FOREIGN KEY ("clearedById") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskOverride" ADD CONSTRAINT "RiskOverride_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskOverride" ADD CONSTRAINT "RiskOverride_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskOverride" ADD CONSTRAINT "RiskOverride_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE SET NULL ON UPDATE CASCADE;
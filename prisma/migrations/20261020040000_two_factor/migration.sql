@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "requireAdmin2fa" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Account" ADD COLUMN     "totpSecret" TEXT,
+ADD COLUMN     "totpEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "totpLastStep" INTEGER,
+ADD COLUMN     "totpBackupCodes" TEXT[];
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "actorEmail" TEXT,
+ADD COLUMN     "actorName" TEXT;
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "Inspection" DROP CONSTRAINT "Inspection_bookingId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -4,9 +4,12 @@ import leadsRoutes from "./routes/leads.routes.js";
 import bikesRoutes from "./routes/bikes.routes.js";
 import bookingsRoutes from "./routes/bookings.routes.js";
 import router from "./routes/index.js";
+import env from "./config/env.js";
 
 const app = express();
 
+if (env.TRUST_PROXY) app.set("trust proxy", true);
+
 app.use(cors());
 app.use(express.json());
 
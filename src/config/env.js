@@ -3,5 +3,31 @@ dotenv.config();
 
 export default {
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "7d",
+  // behind a load balancer, so req.ip (rate limits, login log) is the client
+  TRUST_PROXY: process.env.TRUST_PROXY === "true",
+  // access token lifetime; sessions live on through refresh tokens
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "15m",
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== "false",
+  SCHEDULER_INTERVAL_MS: Number(process.env.SCHEDULER_INTERVAL_MS) || 60000,
+  // hours past pickup time before an uncollected booking is a no-show
+  NO_SHOW_GRACE_HOURS: Number(process.env.NO_SHOW_GRACE_HOURS) || 24,
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "local",
+  UPLOAD_DIR: process.env.UPLOAD_DIR || "uploads",
+  DEFAULT_COUNTRY_CODE: process.env.DEFAULT_COUNTRY_CODE || "91",
+  // front-end origin used to build invite links (blank → relative link)
+  APP_URL: process.env.APP_URL || "",
+  INVITE_TTL_HOURS: Number(process.env.INVITE_TTL_HOURS) || 72,
+  // console/file only stand in for local runs: production must name a
+  // driver explicitly or nothing is sent
+  NOTIFY_DRIVER:
+    process.env.NOTIFY_DRIVER ||
+    (process.env.NODE_ENV === "production" ? undefined : "console"),
+  OUTBOX_FILE: process.env.OUTBOX_FILE || "outbox.log",
+  PASSWORD_RESET_TTL_MINUTES:
+    Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 15,
+  // name shown in authenticator apps; secrets are encrypted with the key
+  // (falls back to JWT_SECRET)
+  TOTP_ISSUER: process.env.TOTP_ISSUER || "Velosta",
+  TOTP_ENCRYPTION_KEY: process.env.TOTP_ENCRYPTION_KEY,
 };
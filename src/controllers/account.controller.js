@@ -0,0 +1,198 @@
+// src/controllers/account.controller.js
+import bcrypt from "bcrypt";
+import prisma from "../config/prisma.js";
+import { loadPermissions } from "../middlewares/permission.middleware.js";
+import { revokeSessions } from "../services/session.service.js";
+import { clearLoginFailures } from "../services/loginGuard.service.js";
+import {
+  RESET_CHANNELS,
+  checkResetCode,
+  hashPassword,
+  passwordError,
+  sendResetCode,
+} from "../services/password.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const profileSelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  role: true,
+  customRole: { select: { id: true, name: true } },
+  createdAt: true,
+  organization: { select: { id: true, name: true } },
+};
+
+// GET /api/auth/me → the signed-in account, its org and permissions
+export async function getMe(req, res, next) {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { id: req.account.id },
+      select: profileSelect,
+    });
+
+    res.json({ ...account, permissions: [...(await loadPermissions(req))] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/auth/me → name, phone; email also needs currentPassword
+export async function updateMe(req, res, next) {
+  try {
+    const { name, phone, email, currentPassword } = req.body;
+    const data = {};
+
+    if (name !== undefined) {
+      if (!String(name).trim())
+        return res.status(400).json({ message: "Name cannot be empty" });
+      data.name = String(name).trim();
+    }
+
+    if (phone !== undefined) {
+      data.phone = phone ? String(phone).trim() : null;
+    }
+
+    if (email !== undefined && email !== req.account.email) {
+      const newEmail = String(email).trim();
+      if (!newEmail.includes("@"))
+        return res.status(400).json({ message: "Invalid email" });
+
+      const ok =
+        currentPassword &&
+        (await bcrypt.compare(currentPassword, req.account.passwordHash));
+      if (!ok)
+        return res
+          .status(401)
+          .json({ message: "Current password is required to change email" });
+
+      data.email = newEmail;
+    }
+
+    const account = await prisma.account.update({
+      where: { id: req.account.id },
+      data,
+      select: profileSelect,
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "update",
+      before: req.account,
+      after: account,
+    });
+
+    res.json(account);
+  } catch (err) {
+    if (err.code === "P2002")
+      return res.status(409).json({ message: "Email already registered" });
+    next(err);
+  }
+}
+
+// POST /api/auth/change-password → other devices are logged out
+export async function changePassword(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ message: "Missing required fields" });
+
+    const ok = await bcrypt.compare(currentPassword, req.account.passwordHash);
+    if (!ok)
+      return res.status(401).json({ message: "Current password is wrong" });
+
+    const invalid = passwordError(newPassword);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    await prisma.$transaction([
+      prisma.account.update({
+        where: { id: req.account.id },
+        data: { passwordHash: await hashPassword(newPassword) },
+      }),
+      revokeSessions(
+        { accountId: req.account.id, id: { not: req.sessionId } },
+        "password change"
+      ),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: req.account.id,
+      action: "change_password",
+    });
+
+    res.json({ message: "Password changed" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/forgot-password → { email, channel: email|sms }
+// Always answers the same way so it can't be used to probe for accounts.
+export async function forgotPassword(req, res, next) {
+  try {
+    const { email, channel = "email" } = req.body;
+
+    if (!email) return res.status(400).json({ message: "Missing email" });
+    if (!RESET_CHANNELS.includes(channel))
+      return res.status(400).json({ message: "Invalid channel" });
+
+    const account = await prisma.account.findUnique({ where: { email } });
+    if (account && account.active) await sendResetCode(account, channel);
+
+    res.json({ message: "If the account exists, a reset code has been sent" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/reset-password → { email, code, newPassword }
+// Sets the password, lifts any login lockout and revokes every session.
+export async function resetPassword(req, res, next) {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    if (!email || !code || !newPassword)
+      return res.status(400).json({ message: "Missing required fields" });
+
+    const invalid = passwordError(newPassword);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const account = await prisma.account.findUnique({ where: { email } });
+    const reset =
+      account && account.active && (await checkResetCode(account.id, code));
+    if (!reset)
+      return res.status(400).json({ message: "Invalid or expired code" });
+
+    // claim the code so a second request with it fails
+    const claimed = await prisma.passwordReset.updateMany({
+      where: { id: reset.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (claimed.count === 0)
+      return res.status(400).json({ message: "Invalid or expired code" });
+
+    await prisma.$transaction([
+      prisma.account.update({
+        where: { id: account.id },
+        data: { passwordHash: await hashPassword(newPassword) },
+      }),
+      clearLoginFailures(account.id),
+      revokeSessions({ accountId: account.id }, "password reset"),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: account.id,
+      action: "reset_password",
+      organizationId: account.organizationId,
+      actor: account,
+    });
+
+    res.json({ message: "Password reset; please log in again" });
+  } catch (err) {
+    next(err);
+  }
+}
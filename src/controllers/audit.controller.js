@@ -0,0 +1,46 @@
+// src/controllers/audit.controller.js
+import prisma from "../config/prisma.js";
+import { parseBookingTime } from "../utils/dates.js";
+
+/**
+ * GET AUDIT LOG
+ * Newest first, 200 per page; pass the last row's id as `cursor` for the
+ * next page. Filters: entityType, entityId, actorId, action, from/to.
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { entityType, entityId, actorId, action, from, to, cursor } =
+      req.query;
+
+    const start = from ? parseBookingTime(from, "start") : null;
+    const end = to ? parseBookingTime(to, "end") : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+
+    const logs = await prisma.auditLog.findMany({
+      where: {
+        organizationId: req.organizationId,
+        ...(entityType && { entityType }),
+        ...(entityId && { entityId: String(entityId) }),
+        ...(actorId && { actorId }),
+        ...(action && { action }),
+        ...((start || end) && {
+          createdAt: {
+            ...(start && { gte: start }),
+            ...(end && { lte: end }),
+          },
+        }),
+      },
+      include: { actor: { select: { id: true, name: true } } },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take: 200,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    res.json(logs);
+  } catch (err) {
+    console.error("Error loading audit log:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
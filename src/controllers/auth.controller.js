@@ -1,7 +1,45 @@
 import prisma from "../config/prisma.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import env from "../config/env.js";
+import {
+  generateInviteCode,
+  pendingInviteFilter,
+} from "../services/team.service.js";
+import {
+  createSession,
+  liveSessionFilter,
+  revokeSessions,
+  rotateSession,
+} from "../services/session.service.js";
+import {
+  DUMMY_PASSWORD_HASH,
+  passwordError,
+} from "../services/password.service.js";
+import {
+  clearLoginFailures,
+  isLocked,
+  logLoginAttempt,
+  recordLoginFailure,
+} from "../services/loginGuard.service.js";
+import {
+  needsTwoFactorSetup,
+  readChallengeToken,
+  signChallengeToken,
+  verifySecondFactor,
+} from "../services/twoFactor.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const accountSummary = (account) => ({
+  id: account.id,
+  name: account.name,
+  email: account.email,
+  role: account.role,
+});
+
+// one answer for every signup refusal, so a taken email can't be probed
+const signupRejected = (res) =>
+  res
+    .status(400)
+    .json({ message: "Unable to create an account with these details" });
 
 // ───────────────────────────────────────────────
 // REGISTER ORG + FIRST ACCOUNT (ADMIN)
@@ -9,23 +47,20 @@ import env from "../config/env.js";
 // POST /api/auth/register-org
 export async function registerOrg(req, res, next) {
   try {
-    console.log("hola");
     const { orgName, name, email, password, phone } = req.body;
-    console.log(orgName);
     // Validate required fields
     if (!orgName || !name || !email || !password) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
-    // Check if email already registered
+    // hashed up front so a taken email answers as slowly as a free one
+    const passwordHash = await bcrypt.hash(password, 10);
+
     const existing = await prisma.account.findUnique({ where: { email } });
-    if (existing) {
-      return res.status(409).json({ message: "Email already registered" });
-    }
+    if (existing) return signupRejected(res);
 
     // Generate unique organization invite code
-    const inviteCode =
-      "ORG-" + Math.random().toString(36).substring(2, 8).toUpperCase();
+    const inviteCode = generateInviteCode();
 
     // 1. Create organization with invite code
     const org = await prisma.organization.create({
@@ -36,8 +71,6 @@ export async function registerOrg(req, res, next) {
     });
 
     // 2. Create first account as ADMIN
-    const passwordHash = await bcrypt.hash(password, 10);
-
     const account = await prisma.account.create({
       data: {
         name,
@@ -49,32 +82,34 @@ export async function registerOrg(req, res, next) {
       },
     });
 
-    // 3. Issue token
-    const token = jwt.sign(
-      {
-        accountId: account.id,
-        organizationId: org.id,
-        role: account.role,
-      },
-      env.JWT_SECRET,
-      { expiresIn: env.JWT_EXPIRES_IN }
-    );
+    // 3. Start a session
+    const tokens = await createSession(account, req);
+
+    const actor = { organizationId: org.id, actor: account };
+    await recordAudit(req, {
+      entityType: "Organization",
+      action: "create",
+      after: org,
+      ...actor,
+    });
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "create",
+      after: account,
+      ...actor,
+    });
 
     return res.status(201).json({
-      token,
+      ...tokens,
       organization: {
         id: org.id,
         name: org.name,
         inviteCode: org.inviteCode, // important
       },
-      account: {
-        id: account.id,
-        name: account.name,
-        email: account.email,
-        role: account.role,
-      },
+      account: accountSummary(account),
     });
   } catch (err) {
+    if (err.code === "P2002") return signupRejected(res);
     next(err);
   }
 }
@@ -82,6 +117,31 @@ export async function registerOrg(req, res, next) {
 // ───────────────────────────────────────────────
 // LOGIN
 // ───────────────────────────────────────────────
+const lockedResponse = (res, lockedUntil) =>
+  res.status(423).json({
+    message: "Account locked after repeated failed logins",
+    lockedUntil,
+  });
+
+// Password (and code, if enrolled) accepted: reset failures, log, open a session
+async function finishLogin(req, res, account) {
+  if (account.failedLoginCount > 0) await clearLoginFailures(account.id);
+  await logLoginAttempt({ req, email: account.email, account, success: true });
+
+  const tokens = await createSession(account, req);
+
+  return res.json({
+    ...tokens,
+    organization: {
+      id: account.organization.id,
+      name: account.organization.name,
+    },
+    account: accountSummary(account),
+    // true → everything but /api/auth is refused until 2FA is set up
+    twoFactorSetupRequired: needsTwoFactorSetup(account, account.organization),
+  });
+}
+
 // POST /api/auth/login
 export async function login(req, res, next) {
   try {
@@ -94,39 +154,100 @@ export async function login(req, res, next) {
       where: { email },
       include: { organization: true },
     });
-    console.log("invalid auth ");
 
-    if (!account)
+    const attempt = { req, email, account };
+
+    if (!account) {
+      // burn a bcrypt round anyway so the miss isn't faster than a hit
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await logLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "unknown_email",
+      });
       return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    // while locked the password isn't even checked
+    if (isLocked(account)) {
+      await logLoginAttempt({ ...attempt, success: false, reason: "locked" });
+      return lockedResponse(res, account.lockedUntil);
+    }
 
     const ok = await bcrypt.compare(password, account.passwordHash);
-    console.log("invalid");
 
-    if (!ok) return res.status(401).json({ message: "Invalid credentials" });
+    if (!ok) {
+      const lockedUntil = await recordLoginFailure(account);
+      await logLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "bad_password",
+      });
+      return lockedUntil
+        ? lockedResponse(res, lockedUntil)
+        : res.status(401).json({ message: "Invalid credentials" });
+    }
 
-    const token = jwt.sign(
-      {
-        accountId: account.id,
-        organizationId: account.organizationId,
-        role: account.role,
-      },
-      env.JWT_SECRET,
-      { expiresIn: env.JWT_EXPIRES_IN }
-    );
+    if (!account.active) {
+      await logLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "deactivated",
+      });
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
 
-    return res.json({
-      token,
-      organization: {
-        id: account.organization.id,
-        name: account.organization.name,
-      },
-      account: {
-        id: account.id,
-        name: account.name,
-        email: account.email,
-        role: account.role,
-      },
-    });
+    // second step: the code goes to POST /api/auth/login/2fa
+    if (account.totpEnabledAt) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(account),
+      });
+    }
+
+    return finishLogin(req, res, account);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/login/2fa → { challengeToken, code } or { challengeToken, backupCode }
+export async function loginTwoFactor(req, res, next) {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode))
+      return res.status(400).json({ message: "Missing code" });
+
+    const accountId = readChallengeToken(challengeToken);
+    const account =
+      accountId &&
+      (await prisma.account.findUnique({
+        where: { id: accountId },
+        include: { organization: true },
+      }));
+    if (!account || !account.active)
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+
+    const attempt = { req, email: account.email, account };
+
+    if (isLocked(account)) {
+      await logLoginAttempt({ ...attempt, success: false, reason: "locked" });
+      return lockedResponse(res, account.lockedUntil);
+    }
+
+    // wrong codes count towards the lockout like wrong passwords
+    if (!(await verifySecondFactor(account, { code, backupCode }))) {
+      const lockedUntil = await recordLoginFailure(account);
+      await logLoginAttempt({ ...attempt, success: false, reason: "bad_code" });
+      return lockedUntil
+        ? lockedResponse(res, lockedUntil)
+        : res.status(401).json({ message: "Invalid code" });
+    }
+
+    return finishLogin(req, res, account);
   } catch (err) {
     next(err);
   }
@@ -140,14 +261,14 @@ export async function joinOrg(req, res, next) {
       where: { inviteCode },
     });
 
-    if (!org) return res.status(400).json({ message: "Invalid invite code" });
-
-    const existing = await prisma.account.findUnique({ where: { email } });
-    if (existing)
-      return res.status(409).json({ message: "Email already exists" });
+    if (!org || !org.inviteCodeEnabled)
+      return res.status(400).json({ message: "Invalid invite code" });
 
     const passwordHash = await bcrypt.hash(password, 10);
 
+    const existing = await prisma.account.findUnique({ where: { email } });
+    if (existing) return signupRejected(res);
+
     const account = await prisma.account.create({
       data: {
         name,
@@ -159,26 +280,197 @@ export async function joinOrg(req, res, next) {
       },
     });
 
-    const token = jwt.sign(
-      {
-        accountId: account.id,
-        organizationId: org.id,
-        role: account.role,
-      },
-      env.JWT_SECRET,
-      { expiresIn: env.JWT_EXPIRES_IN }
-    );
+    const tokens = await createSession(account, req);
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "join",
+      after: account,
+      organizationId: org.id,
+      actor: account,
+    });
 
     res.status(201).json({
-      token,
+      ...tokens,
       organization: { id: org.id, name: org.name },
-      account: {
-        id: account.id,
-        name: account.name,
-        email: account.email,
-        role: account.role,
+      account: accountSummary(account),
+    });
+  } catch (err) {
+    if (err.code === "P2002") return signupRejected(res);
+    next(err);
+  }
+}
+
+// ───────────────────────────────────────────────
+// INVITE LINKS
+// ───────────────────────────────────────────────
+const findPendingInvite = (token) =>
+  prisma.invite.findFirst({
+    where: { token, ...pendingInviteFilter() },
+    include: { organization: { select: { id: true, name: true } } },
+  });
+
+// GET /api/auth/invites/:token → who the invite is for, before signing up
+export async function getInvite(req, res, next) {
+  try {
+    const invite = await findPendingInvite(req.params.token);
+    if (!invite)
+      return res.status(404).json({ message: "Invite is invalid or expired" });
+
+    res.json({
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      organization: invite.organization,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/accept-invite → create the invited account (single use)
+export async function acceptInvite(req, res, next) {
+  try {
+    const { token, name, password, phone } = req.body;
+
+    if (!token || !name || !password)
+      return res.status(400).json({ message: "Missing required fields" });
+
+    const invalid = passwordError(password);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const invite = await findPendingInvite(token);
+    if (!invite)
+      return res.status(404).json({ message: "Invite is invalid or expired" });
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const existing = await prisma.account.findUnique({
+      where: { email: invite.email },
+    });
+    if (existing) return signupRejected(res);
+
+    const account = await prisma.$transaction(async (tx) => {
+      // claim the invite first so two submissions can't both use it
+      const claimed = await tx.invite.updateMany({
+        where: { id: invite.id, ...pendingInviteFilter() },
+        data: { acceptedAt: new Date() },
+      });
+      if (claimed.count === 0) return null;
+
+      const created = await tx.account.create({
+        data: {
+          name,
+          email: invite.email,
+          phone,
+          passwordHash,
+          role: invite.role,
+          customRoleId: invite.customRoleId,
+          organizationId: invite.organizationId,
+        },
+      });
+
+      await tx.invite.update({
+        where: { id: invite.id },
+        data: { acceptedById: created.id },
+      });
+
+      return created;
+    });
+
+    if (!account)
+      return res.status(404).json({ message: "Invite is invalid or expired" });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "accept_invite",
+      after: { ...account, inviteId: invite.id },
+      organizationId: account.organizationId,
+      actor: account,
+    });
+
+    res.status(201).json({
+      ...(await createSession(account, req)),
+      organization: invite.organization,
+      account: accountSummary(account),
+    });
+  } catch (err) {
+    if (err.code === "P2002") return signupRejected(res);
+    next(err);
+  }
+}
+
+// ───────────────────────────────────────────────
+// SESSIONS
+// ───────────────────────────────────────────────
+// POST /api/auth/refresh → new access + refresh token (old one dies)
+export async function refresh(req, res, next) {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken)
+      return res.status(400).json({ message: "Missing refresh token" });
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) return res.status(401).json({ message: result.error });
+
+    const { account, ...tokens } = result;
+    res.json({ ...tokens, account: accountSummary(account) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/logout → end this device's session
+export async function logout(req, res, next) {
+  try {
+    await revokeSessions({ id: req.sessionId }, "logout");
+    await recordAudit(req, {
+      entityType: "Session",
+      entityId: req.sessionId,
+      action: "logout",
+    });
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/logout-all → end every session, this one included
+export async function logoutAll(req, res, next) {
+  try {
+    const { count } = await revokeSessions(
+      { accountId: req.account.id },
+      "logout-all"
+    );
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: req.account.id,
+      action: "logout_all",
+      after: { sessionsRevoked: count },
+    });
+    res.json({ message: "Logged out everywhere", sessionsRevoked: count });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/auth/sessions → devices currently logged in
+export async function getSessions(req, res, next) {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { accountId: req.account.id, ...liveSessionFilter() },
+      select: {
+        id: true,
+        userAgent: true,
+        ip: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
       },
+      orderBy: { lastUsedAt: "desc" },
     });
+
+    res.json(sessions.map((s) => ({ ...s, current: s.id === req.sessionId })));
   } catch (err) {
     next(err);
   }
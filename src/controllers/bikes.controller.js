@@ -1,67 +1,217 @@
 import prisma from "../config/prisma.js";
+import { MS_PER_DAY, parseBookingTime } from "../utils/dates.js";
+import {
+  OPEN_BOOKING_STATUSES,
+  autoFixBikeStatus,
+  clashFilter,
+  getBookingBufferMs,
+  reconcileBikeStatuses,
+} from "../services/booking.service.js";
+import {
+  loadPricingContext,
+  quotePrice,
+  rentalLengthError,
+} from "../services/pricing.service.js";
+import {
+  loadServiceStatuses,
+  parseOdometer,
+  parseServiceIntervals,
+  recordOdometer,
+} from "../services/servicing.service.js";
+import {
+  activeWindowFilter,
+  endMaintenanceNow,
+  startMaintenanceNow,
+  windowOverlapFilter,
+} from "../services/maintenance.service.js";
+import { hasPermission } from "../middlewares/permission.middleware.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// a bike whose clashes cover at most this share of the window is "nearly free"
+const NEARLY_FREE_MAX_OVERLAP = 0.25;
 
 /**
- * UTILITY: Auto-correct bike status based on bookings
+ * Status is derived from bookings and maintenance windows, so a manual
+ * change is recorded as a window: MAINTENANCE opens one from now on,
+ * anything else closes the one in force.
  */
-async function autoFixBikeStatus(bikeId, orgId) {
-  const now = new Date();
+const applyManualStatus = async (bike, status) => {
+  if (status.toUpperCase() === "MAINTENANCE") {
+    await startMaintenanceNow(bike);
+  } else {
+    await endMaintenanceNow(bike.id);
+  }
+};
 
-  // find any ACTIVE or UPCOMING bookings that haven't ended yet
-  const activeBookings = await prisma.booking.findMany({
+/** Open bookings that are current or still to come */
+const currentBookingsInclude = (now) => ({
+  bookings: {
     where: {
-      bikeId,
-      organizationId: orgId,
-      status: { in: ["ACTIVE", "UPCOMING"] },
-      endDate: { gte: now },
+      status: { in: OPEN_BOOKING_STATUSES },
+      OR: [{ endDate: { gte: now } }, { status: "OVERDUE" }],
     },
-  });
+  },
+});
+
+/**
+ * GET ALL BIKES (ORG SCOPED)
+ */
+export const getBikes = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const now = new Date();
 
-  if (activeBookings.length === 0) {
-    // No active bookings → ensure bike is AVAILABLE
-    await prisma.bike.update({
-      where: { id: bikeId },
-      data: { status: "AVAILABLE" },
+    const bikes = await prisma.bike.findMany({
+      where: { organizationId: orgId },
+      include: currentBookingsInclude(now),
+      orderBy: { createdAt: "desc" },
     });
-    return "AVAILABLE";
-  }
 
-  // If active bookings exist → bike should be RENTED
-  await prisma.bike.update({
-    where: { id: bikeId },
-    data: { status: "RENTED" },
-  });
+    // Auto-fix statuses for the whole fleet in one pass
+    const { statuses } = await reconcileBikeStatuses({ orgId, bikes, now });
 
-  return "R";
-}
+    res.json(bikes.map((b) => ({ ...b, status: statuses.get(b.id) })));
+  } catch (err) {
+    console.error("Error fetching bikes:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
 
 /**
- * GET ALL BIKES (ORG SCOPED)
+ * FLEET AVAILABILITY SEARCH
+ * GET /api/bikes/available?start=&end=[&model=&category=&minPrice=&maxPrice=]
+ * - available: bikes free for the whole window, with their quoted price
+ * - nearlyFree: bikes whose clashing bookings cover only a small part of
+ *   the window, with those bookings
+ * A fixed number of queries regardless of fleet size.
  */
-export const getBikes = async (req, res) => {
+export const getAvailableBikes = async (req, res) => {
   try {
     const orgId = req.organizationId;
-    console.log(orgId);
+    const { start, end, model, category, minPrice, maxPrice } = req.query;
+
+    if (!start || !end) {
+      return res.status(400).json({ error: "start and end are required" });
+    }
+
+    const startDate = parseBookingTime(start, "start");
+    const endDate = parseBookingTime(end, "end");
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Invalid dates" });
+    }
+    if (endDate <= startDate) {
+      return res.status(400).json({ error: "end must be after start" });
+    }
+    const tooLong = rentalLengthError(startDate, endDate);
+    if (tooLong) return res.status(400).json({ error: tooLong });
+
+    const min = minPrice !== undefined ? Number(minPrice) : null;
+    const max = maxPrice !== undefined ? Number(maxPrice) : null;
+    if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+      return res.status(400).json({ error: "Invalid price filter" });
+    }
+
+    const bufferMs = await getBookingBufferMs(orgId);
 
     const bikes = await prisma.bike.findMany({
-      where: { organizationId: orgId },
-      include: {
-        bookings: {
-          where: {
-            endDate: { gte: new Date() }, // only future/active bookings
-          },
+      where: {
+        organizationId: orgId,
+        // nothing in the workshop at any point of the window
+        maintenanceWindows: {
+          none: windowOverlapFilter({ startDate, endDate }),
         },
+        ...(model && { model: { contains: model, mode: "insensitive" } }),
+        ...(category && { category }),
       },
-      orderBy: { createdAt: "desc" },
     });
 
-    // Auto-fix statuses
-    for (const b of bikes) {
-      await autoFixBikeStatus(b.id, orgId);
+    const clashes = await prisma.booking.findMany({
+      where: {
+        organizationId: orgId,
+        bikeId: { in: bikes.map((b) => b.id) },
+        ...clashFilter({ startDate, endDate, bufferMs }),
+      },
+      select: {
+        id: true,
+        bikeId: true,
+        customerName: true,
+        startDate: true,
+        endDate: true,
+        status: true,
+      },
+      orderBy: { startDate: "asc" },
+    });
+
+    const clashesByBike = new Map();
+    for (const c of clashes) {
+      if (!clashesByBike.has(c.bikeId)) clashesByBike.set(c.bikeId, []);
+      clashesByBike.get(c.bikeId).push(c);
+    }
+
+    const context = await loadPricingContext(orgId, startDate, endDate);
+    const windowMs = endDate - startDate;
+
+    const available = [];
+    const nearlyFree = [];
+
+    for (const bike of bikes) {
+      const quote = await quotePrice({
+        orgId,
+        bike,
+        startDate,
+        endDate,
+        context,
+      });
+      if (min !== null && quote.total < min) continue;
+      if (max !== null && quote.total > max) continue;
+
+      const entry = {
+        bike,
+        quote: { total: quote.total, lineItems: quote.lineItems },
+      };
+
+      const bikeClashes = clashesByBike.get(bike.id);
+      if (!bikeClashes) {
+        available.push(entry);
+        continue;
+      }
+
+      // time inside the window the bike is blocked (buffer included);
+      // bookings are sorted, so union the intervals in one pass
+      let blockedMs = 0;
+      let cursor = startDate.getTime();
+      for (const c of bikeClashes) {
+        // an overdue bike is out at least until now
+        const until =
+          c.status === "OVERDUE"
+            ? Math.max(new Date(c.endDate).getTime(), Date.now())
+            : new Date(c.endDate).getTime();
+        const from = Math.max(cursor, new Date(c.startDate) - bufferMs);
+        const to = Math.min(endDate.getTime(), until + bufferMs);
+        if (to > from) blockedMs += to - from;
+        cursor = Math.max(cursor, to);
+      }
+
+      if (blockedMs / windowMs <= NEARLY_FREE_MAX_OVERLAP) {
+        nearlyFree.push({
+          ...entry,
+          overlapMinutes: Math.ceil(blockedMs / 60000),
+          conflicts: bikeClashes,
+        });
+      }
     }
 
-    res.json(bikes);
+    available.sort((a, b) => a.quote.total - b.quote.total);
+    nearlyFree.sort((a, b) => a.overlapMinutes - b.overlapMinutes);
+
+    res.json({
+      start: startDate,
+      end: endDate,
+      available,
+      nearlyFree,
+    });
   } catch (err) {
-    console.error("Error fetching bikes:", err);
+    console.error("getAvailableBikes error:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
@@ -75,18 +225,17 @@ export const getBikeById = async (req, res) => {
 
     const bike = await prisma.bike.findFirst({
       where: { id: req.params.id, organizationId: orgId },
-      include: {
-        bookings: {
-          where: { endDate: { gte: new Date() } },
-        },
-      },
+      include: currentBookingsInclude(new Date()),
     });
 
     if (!bike) return res.status(404).json({ error: "Bike not found" });
 
-    await autoFixBikeStatus(bike.id, orgId);
+    const status = await autoFixBikeStatus(bike.id, orgId);
+    const [service] = (
+      await loadServiceStatuses({ orgId, bikes: [bike] })
+    ).values();
 
-    res.json(bike);
+    res.json({ ...bike, status: status ?? bike.status, service });
   } catch (err) {
     console.error("Error fetching bike:", err);
     res.status(500).json({ error: "Server error" });
@@ -99,7 +248,8 @@ export const getBikeById = async (req, res) => {
 export const createBike = async (req, res) => {
   try {
     const orgId = req.organizationId;
-    const { name, model, registrationNumber, year, dailyRate } = req.body;
+    const { name, model, registrationNumber, year, dailyRate, category } =
+      req.body;
 
     // Validate required fields
     if (!name || !registrationNumber || !dailyRate) {
@@ -116,6 +266,14 @@ export const createBike = async (req, res) => {
       });
     }
 
+    const odometer = parseOdometer(req.body.odometerKm);
+    if (odometer.error) return res.status(400).json({ error: odometer.error });
+
+    const intervals = parseServiceIntervals(req.body);
+    if (intervals.error) {
+      return res.status(400).json({ error: intervals.error });
+    }
+
     // Check if registration number already exists in this org
     const exists = await prisma.bike.findFirst({
       where: { registrationNumber, organizationId: orgId },
@@ -133,12 +291,31 @@ export const createBike = async (req, res) => {
         model: model || null,
         registrationNumber,
         year: year ? Number(year) : null,
+        category: category || null,
         dailyRate: rate,
+        ...intervals.data,
         status: "AVAILABLE",
         organizationId: orgId,
       },
     });
 
+    // opening reading: the baseline for km-based service intervals
+    if (odometer.km !== undefined) {
+      await recordOdometer({
+        bike,
+        km: odometer.km,
+        source: "MANUAL",
+        accountId: req.account.id,
+      });
+      bike.odometerKm = odometer.km;
+    }
+
+    await recordAudit(req, {
+      entityType: "Bike",
+      action: "create",
+      after: bike,
+    });
+
     res.status(201).json(bike);
   } catch (err) {
     console.error("Error creating bike:", err);
@@ -169,8 +346,20 @@ export const updateBike = async (req, res) => {
 
     if (!exists) return res.status(404).json({ error: "Bike not found" });
 
-    const { name, model, registrationNumber, year, dailyRate, status } =
-      req.body;
+    const {
+      name,
+      model,
+      registrationNumber,
+      year,
+      dailyRate,
+      status,
+      category,
+    } = req.body;
+
+    const intervals = parseServiceIntervals(req.body);
+    if (intervals.error) {
+      return res.status(400).json({ error: intervals.error });
+    }
 
     // If registrationNumber is being changed, check for duplicates
     if (
@@ -193,13 +382,23 @@ export const updateBike = async (req, res) => {
     }
 
     // Validate dailyRate if provided
+    const rate = Number(dailyRate);
     if (dailyRate !== undefined) {
-      const rate = Number(dailyRate);
       if (isNaN(rate) || rate <= 0) {
         return res.status(400).json({
           error: "Daily rate must be a positive number",
         });
       }
+      // clients often send the whole bike back; only a real change needs it
+      if (
+        rate !== exists.dailyRate &&
+        !(await hasPermission(req, "bikes.rates"))
+      ) {
+        return res.status(403).json({
+          error: "You don't have permission to change the daily rate",
+          missing: "bikes.rates",
+        });
+      }
     }
 
     const bike = await prisma.bike.update({
@@ -207,16 +406,26 @@ export const updateBike = async (req, res) => {
       data: {
         ...(name && { name }),
         ...(model !== undefined && { model }),
+        ...(category !== undefined && { category: category || null }),
         ...(registrationNumber && { registrationNumber }),
         ...(year && { year: Number(year) }),
-        ...(dailyRate && { dailyRate: Number(dailyRate) }),
-        ...(status && { status }),
+        ...(dailyRate !== undefined && { dailyRate: rate }),
+        ...intervals.data,
       },
     });
 
-    await autoFixBikeStatus(id, orgId);
+    if (status) await applyManualStatus(bike, status);
+    const fixed = await autoFixBikeStatus(id, orgId);
+    const updated = { ...bike, status: fixed ?? bike.status };
 
-    res.json(bike);
+    await recordAudit(req, {
+      entityType: "Bike",
+      action: "update",
+      before: exists,
+      after: updated,
+    });
+
+    res.json(updated);
   } catch (err) {
     console.error("Error updating bike:", err);
 
@@ -248,12 +457,15 @@ export const updateBikeStatus = async (req, res) => {
 
     if (!exists) return res.status(404).json({ error: "Bike not found" });
 
-    await prisma.bike.update({
-      where: { id },
-      data: { status: status.toUpperCase() },
-    });
+    await applyManualStatus(exists, status);
+    const fixed = await autoFixBikeStatus(id, orgId);
 
-    await autoFixBikeStatus(id, orgId);
+    await recordAudit(req, {
+      entityType: "Bike",
+      action: "update",
+      before: exists,
+      after: { status: fixed ?? exists.status },
+    });
 
     res.json({ message: "Status updated" });
   } catch (err) {
@@ -275,17 +487,34 @@ export const getBikeAvailability = async (req, res) => {
     if (!bike || bike.organizationId !== orgId)
       return res.status(404).json({ error: "Bike not found" });
 
-    // Fetch all future+current bookings
+    // Fetch all future+current bookings (OVERDUE ones still have the bike)
     const bookings = await prisma.booking.findMany({
       where: {
         bikeId,
         organizationId: orgId,
-        status: { in: ["ACTIVE", "UPCOMING"] },
-        endDate: { gte: now }, // relevant bookings
+        status: { in: OPEN_BOOKING_STATUSES },
+        OR: [{ endDate: { gte: now } }, { status: "OVERDUE" }],
       },
       orderBy: { startDate: "asc" },
     });
 
+    // 0️⃣ IN THE WORKSHOP → UNAVAILABLE UNTIL THE WINDOW CLOSES
+    const currentMaintenance = await prisma.maintenanceWindow.findFirst({
+      where: { bikeId, ...activeWindowFilter(now) },
+    });
+    if (currentMaintenance) {
+      const until = currentMaintenance.endDate;
+      return res.json({
+        bikeId,
+        isAvailableNow: false,
+        currentBooking: null,
+        currentMaintenance,
+        nextBooking: bookings[0] || null,
+        nextAvailableDate: until ? until.toISOString() : null,
+        returnInDays: until ? Math.ceil((until - now) / MS_PER_DAY) : null,
+      });
+    }
+
     // 1️⃣ NO BOOKINGS → ALWAYS AVAILABLE
     if (bookings.length === 0) {
       return res.json({
@@ -298,10 +527,12 @@ export const getBikeAvailability = async (req, res) => {
       });
     }
 
-    // 2️⃣ FIND CURRENT BOOKING (if overlaps NOW)
+    // 2️⃣ FIND CURRENT BOOKING (if overlaps NOW, or not returned yet)
     const currentBooking =
       bookings.find(
-        (b) => new Date(b.startDate) <= now && new Date(b.endDate) >= now
+        (b) =>
+          b.status === "OVERDUE" ||
+          (new Date(b.startDate) <= now && new Date(b.endDate) >= now)
       ) || null;
 
     // 3️⃣ FIND NEXT BOOKING (that starts AFTER NOW)
@@ -318,14 +549,19 @@ export const getBikeAvailability = async (req, res) => {
       // Bike is free now → available today
       nextAvailableDate = now.toISOString();
     } else {
-      // Bike is rented → available after current booking ends
-      nextAvailableDate = new Date(currentBooking.endDate).toISOString();
+      // Bike is rented → available after current booking ends (overdue:
+      // due back now)
+      const end = new Date(currentBooking.endDate);
+      nextAvailableDate = (end > now ? end : now).toISOString();
     }
 
     // 6️⃣ returnInDays ONLY IF THE BIKE IS CURRENTLY RENTED
     const returnInDays = currentBooking
-      ? Math.ceil(
-          (new Date(currentBooking.endDate) - now) / (1000 * 60 * 60 * 24)
+      ? Math.max(
+          0,
+          Math.ceil(
+            (new Date(currentBooking.endDate) - now) / (1000 * 60 * 60 * 24)
+          )
         )
       : 0;
 
@@ -361,12 +597,20 @@ export const toggleBikeMaintenance = async (req, res) => {
       });
     }
 
-    const newStatus =
-      bike.status === "MAINTENANCE" ? "AVAILABLE" : "MAINTENANCE";
+    if (bike.status === "MAINTENANCE") {
+      await endMaintenanceNow(bikeId);
+    } else {
+      await startMaintenanceNow(bike, { reason: req.body?.reason });
+    }
+
+    await autoFixBikeStatus(bikeId, orgId);
+    const updated = await prisma.bike.findUnique({ where: { id: bikeId } });
 
-    const updated = await prisma.bike.update({
-      where: { id: bikeId },
-      data: { status: newStatus },
+    await recordAudit(req, {
+      entityType: "Bike",
+      action: "update",
+      before: bike,
+      after: updated,
     });
 
     return res.json({
@@ -396,8 +640,8 @@ export const deleteBike = async (req, res) => {
     if (!exists) return res.status(404).json({ error: "Bike not found" });
 
     // Check if bike has any active or upcoming bookings
-    const activeBookings = exists.bookings.filter(
-      (b) => b.status === "ACTIVE" || b.status === "UPCOMING"
+    const activeBookings = exists.bookings.filter((b) =>
+      OPEN_BOOKING_STATUSES.includes(b.status)
     );
 
     if (activeBookings.length > 0) {
@@ -409,6 +653,12 @@ export const deleteBike = async (req, res) => {
     // Delete the bike
     await prisma.bike.delete({ where: { id } });
 
+    await recordAudit(req, {
+      entityType: "Bike",
+      action: "delete",
+      before: exists,
+    });
+
     res.json({ message: "Bike deleted successfully" });
   } catch (err) {
     console.error("Error deleting bike:", err);
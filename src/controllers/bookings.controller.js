@@ -1,171 +1,62 @@
 // src/controllers/bookingsController.js
 import prisma from "../config/prisma.js";
-
-/** Helpers: day normalization & calculations */
-const MS_PER_DAY = 24 * 60 * 60 * 1000;
-const startOfDay = (d) => {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x;
-};
-const endOfDay = (d) => {
-  const x = new Date(d);
-  x.setHours(23, 59, 59, 999);
-  return x;
-};
-const nextDay = (d) => {
-  return new Date(startOfDay(d).getTime() + MS_PER_DAY);
-};
-const today = () => startOfDay(new Date());
-
-/** Utility: calculate total rental days (inclusive) */
-const calculateDays = (start, end) => {
-  const s = startOfDay(start).getTime();
-  const e = startOfDay(end).getTime();
-  // inclusive days (if start == end => 1 day)
-  return Math.max(1, Math.floor((e - s) / MS_PER_DAY) + 1);
-};
-
-/**
- * Auto-fix bike status based on any ongoing (now) bookings.
- * If there is a booking that contains "now" -> RENTED
- * Otherwise AVAILABLE. Does not change bookings.
- */
-const autoFixBikeStatus = async (bikeId, orgId) => {
-  const now = new Date();
-
-  const activeBooking = await prisma.booking.findFirst({
-    where: {
-      bikeId,
-      organizationId: orgId,
-      status: { in: ["ACTIVE", "UPCOMING"] },
-      startDate: { lte: now },
-      endDate: { gte: now },
-    },
-  });
-
-  if (activeBooking) {
-    try {
-      await prisma.bike.update({
-        where: { id: bikeId },
-        data: { status: "RENTED" },
-      });
-    } catch (e) {
-      // swallow DB update errors - we still return computed status
-    }
-    return "RENTED";
-  }
-
-  try {
-    await prisma.bike.update({
-      where: { id: bikeId },
-      data: { status: "AVAILABLE" },
-    });
-  } catch (e) {}
-  return "AVAILABLE";
-};
-
-/**
- * computeAvailability:
- * - merges overlapping/contiguous bookings (for blocking chain)
- * - returns whether bike is available right now (no current booking)
- * - returns nextAvailableDate = day after the blocking chain end if there's a chain that blocks now
- * - returns returnInDays and blockingBookings (merged chain)
- */
-const computeAvailability = async (bikeId, orgId) => {
-  const now = new Date();
-
-  // fetch bookings that end today or later and are ACTIVE/UPCOMING
-  const bookings = await prisma.booking.findMany({
-    where: {
-      bikeId,
-      organizationId: orgId,
-      status: { in: ["ACTIVE", "UPCOMING"] },
-      endDate: { gte: startOfDay(now) }, // any booking that can block now or future
-    },
-    orderBy: { startDate: "asc" },
-  });
-
-  if (!bookings || bookings.length === 0) {
-    return {
-      bikeId,
-      isAvailableNow: true,
-      nextAvailableDate: null,
-      currentBooking: null,
-      returnInDays: 0,
-      blockingBookings: [],
-    };
-  }
-
-  // convert to normalized ranges (start = startOfDay, end = endOfDay)
-  const ranges = bookings.map((b) => ({
-    id: b.id,
-    start: startOfDay(b.startDate),
-    end: endOfDay(b.endDate),
-    raw: b,
-  }));
-
-  // Merge ranges that are overlapping / contiguous to compute continuous blocking chains.
-  // We'll build all merged chains (array of {start,end,ids}), then find the first chain that either:
-  // - intersects now OR
-  // - is the earliest upcoming chain (first merged chain)
-  const merged = [];
-  for (const r of ranges) {
-    if (merged.length === 0) {
-      merged.push({ start: r.start, end: r.end, ids: [r.id], raws: [r.raw] });
-      continue;
-    }
-    const last = merged[merged.length - 1];
-    // if r.start is <= last.end + 1ms (overlap/contiguous) -> merge
-    if (r.start.getTime() <= last.end.getTime() + 1) {
-      if (r.end > last.end) last.end = r.end;
-      last.ids.push(r.id);
-      last.raws.push(r.raw);
-    } else {
-      // non-overlapping -> start new chain
-      merged.push({ start: r.start, end: r.end, ids: [r.id], raws: [r.raw] });
-    }
-  }
-
-  // find the chain of interest:
-  // prefer chain that contains 'now' (start <= now <= end), otherwise pick first merged chain
-  let chosenChain = merged.find((c) => c.start <= now && c.end >= now);
-  if (!chosenChain) chosenChain = merged[0];
-
-  // currentBooking: if any booking actually covers now (single booking)
-  const currentBooking = bookings.find(
-    (b) => startOfDay(b.startDate) <= now && endOfDay(b.endDate) >= now
-  );
-
-  const chainEnd = chosenChain.end;
-  const nextAvailableDate = chainEnd > now ? nextDay(chainEnd) : null;
-  const returnInDays = nextAvailableDate
-    ? Math.ceil((startOfDay(nextAvailableDate) - startOfDay(now)) / MS_PER_DAY)
-    : 0;
-
-  return {
-    bikeId,
-    isAvailableNow: !currentBooking, // bike available if no current booking
-    nextAvailableDate: nextAvailableDate
-      ? nextAvailableDate.toISOString()
-      : null,
-    currentBooking: currentBooking
-      ? {
-          id: currentBooking.id,
-          customerName: currentBooking.customerName,
-          startDate: currentBooking.startDate,
-          endDate: currentBooking.endDate,
-        }
-      : null,
-    returnInDays,
-    // blocking bookings: return the bookings that form the chosen chain (for UI)
-    blockingBookings: chosenChain.raws.map((b) => ({
-      id: b.id,
-      startDate: startOfDay(b.startDate).toISOString(),
-      endDate: endOfDay(b.endDate).toISOString(),
-    })),
-  };
-};
+import { today, parseBookingTime } from "../utils/dates.js";
+import {
+  OPEN_BOOKING_STATUSES,
+  autoFixBikeStatus,
+  computeAvailability,
+  getBookingBufferMs,
+  findOverlappingBooking,
+  findAvailableBikes,
+  validateNewBooking,
+  buildBookingData,
+  syncBikeAfterBooking,
+} from "../services/booking.service.js";
+import {
+  activePaymentsInclude,
+  withBalance,
+  sumPayments,
+  parseInitialPayment,
+  PAYMENT_METHODS,
+  roundMoney,
+} from "../services/payment.service.js";
+import {
+  parseDepositInput,
+  computeSettlement,
+} from "../services/deposit.service.js";
+import { computeLateFee } from "../services/lateFee.service.js";
+import {
+  quotePrice,
+  bookingBreakdown,
+  loadPricingContext,
+  rentalLengthError,
+} from "../services/pricing.service.js";
+import {
+  findOverlappingWindow,
+  maintenanceConflict,
+} from "../services/maintenance.service.js";
+import {
+  checkCustomerRisk,
+  findOrCreateCustomer,
+  linkBookingCustomer,
+  parseBookingCustomer,
+  parseCustomerInput,
+  recordRiskOverride,
+} from "../services/customer.service.js";
+import {
+  compareInspections,
+  parseInspectionInput,
+  photoInclude,
+} from "../services/inspection.service.js";
+import {
+  odometerRollbackError,
+  parseOdometer,
+  recordOdometer,
+} from "../services/servicing.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { hasPermission } from "../middlewares/permission.middleware.js";
+
+const bookingInclude = { bike: true, ...activePaymentsInclude };
 
 /** GET ALL BOOKINGS (ORG SCOPED) */
 export const getBookings = async (req, res) => {
@@ -178,11 +69,11 @@ export const getBookings = async (req, res) => {
         organizationId: orgId,
         ...(status ? { status } : {}),
       },
-      include: { bike: true },
+      include: bookingInclude,
       orderBy: { startDate: "desc" },
     });
 
-    res.json(bookings);
+    res.json(bookings.map(withBalance));
   } catch (err) {
     console.error("Error loading bookings:", err);
     res.status(500).json({ error: "Server error" });
@@ -199,122 +90,236 @@ export const getBookingById = async (req, res) => {
         id: req.params.id,
         organizationId: orgId,
       },
-      include: { bike: true },
+      include: bookingInclude,
     });
 
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
-    res.json(booking);
+    res.json(withBalance(booking));
   } catch (err) {
     console.error("Error retrieving booking:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
 
-/** CREATE BOOKING (ORG SCOPED) */
-export const createBooking = async (req, res) => {
+/**
+ * QUOTE
+ * POST /api/bookings/quote { bikeId, startDate, endDate }
+ * Itemized price before booking, plus whether the bike is free.
+ */
+export const quoteBooking = async (req, res) => {
   try {
     const orgId = req.organizationId;
-    const {
-      customerName,
-      phone,
-      bikeId,
-      startDate: rawStart,
-      endDate: rawEnd,
-      totalAmount,
-      paidAmount,
-      notes,
-    } = req.body;
+    const { bikeId, startDate: rawStart, endDate: rawEnd } = req.body;
 
-    if (!customerName || !phone || !bikeId || !rawStart || !rawEnd) {
+    if (!bikeId || !rawStart || !rawEnd) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
-    // normalize dates to day boundaries
-    const startDate = startOfDay(new Date(rawStart));
-    const endDate = endOfDay(new Date(rawEnd));
+    const startDate = parseBookingTime(rawStart, "start");
+    const endDate = parseBookingTime(rawEnd, "end");
 
-    // disallow backdates (start before today)
-    if (startDate < today()) {
-      return res
-        .status(400)
-        .json({ error: "Start date cannot be in the past" });
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Invalid dates" });
     }
-    if (endDate < startDate) {
+    if (endDate <= startDate) {
       return res
         .status(400)
         .json({ error: "End date must be after start date" });
     }
+    const tooLong = rentalLengthError(startDate, endDate);
+    if (tooLong) return res.status(400).json({ error: tooLong });
 
-    // Check bike belongs to org
     const bike = await prisma.bike.findFirst({
       where: { id: bikeId, organizationId: orgId },
     });
     if (!bike) return res.status(400).json({ error: "Bike not found" });
 
-    // Auto-fix bike status (best-effort)
-    await autoFixBikeStatus(bikeId, orgId);
+    const quote = await quotePrice({ orgId, bike, startDate, endDate });
 
-    // Overlap check (inclusive) — exclude RETURNED bookings
-    const overlap = await prisma.booking.findFirst({
-      where: {
-        bikeId,
-        organizationId: orgId,
-        status: { in: ["ACTIVE", "UPCOMING"] },
-        AND: [{ startDate: { lte: endDate } }, { endDate: { gte: startDate } }],
+    const overlap = await findOverlappingBooking({
+      orgId,
+      bikeId,
+      startDate,
+      endDate,
+      bufferMs: await getBookingBufferMs(orgId),
+    });
+    const maintenance = await findOverlappingWindow({
+      orgId,
+      bikeId,
+      startDate,
+      endDate,
+    });
+
+    res.json({
+      bikeId,
+      ...quote,
+      available: !overlap && !maintenance,
+      blockingBooking: overlap && {
+        id: overlap.id,
+        startDate: overlap.startDate,
+        endDate: overlap.endDate,
+      },
+      maintenanceWindow: maintenance && {
+        id: maintenance.id,
+        startDate: maintenance.startDate,
+        endDate: maintenance.endDate,
       },
-      orderBy: { startDate: "asc" },
     });
+  } catch (err) {
+    console.error("Error quoting booking:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
 
-    if (overlap) {
-      // compute availability to provide helpful info to frontend
-      const availability = await computeAvailability(bikeId, orgId);
-      return res.status(400).json({
-        error: "Bike already booked for selected date range",
-        blockingBooking: overlap,
-        nextAvailableDate: availability.nextAvailableDate,
-        returnInDays: availability.returnInDays,
-        blockingBookings: availability.blockingBookings,
-      });
+/** CREATE BOOKING (ORG SCOPED) */
+export const createBooking = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const {
+      customerName,
+      bikeId,
+      startDate: rawStart,
+      endDate: rawEnd,
+      totalAmount,
+      notes,
+    } = req.body;
+
+    if (!bikeId || !rawStart || !rawEnd) {
+      return res.status(400).json({ error: "Missing required fields" });
     }
 
-    // create booking
-    const days = calculateDays(startDate, endDate);
-    const autoAmount = days * (bike.dailyRate || 0);
+    // existing customer by id, or linked / created by phone
+    const customerInput = await parseBookingCustomer(req.body, orgId);
+    if (customerInput.error) {
+      return res.status(400).json({ error: customerInput.error });
+    }
 
-    const booking = await prisma.booking.create({
-      data: {
-        customerName,
-        phone,
-        bikeId,
-        startDate,
-        endDate,
-        totalAmount: Number(totalAmount ?? autoAmount),
-        paidAmount: Number(paidAmount ?? 0),
-        notes: notes ?? "",
-        status: startDate <= new Date() ? "ACTIVE" : "UPCOMING",
-        organizationId: orgId,
-      },
-      include: { bike: true },
+    const risk = await checkCustomerRisk({
+      orgId,
+      parsed: customerInput,
+      account: req.account,
+      canOverride: await hasPermission(req, "customers.overrideRisk"),
+      body: req.body,
     });
+    if (risk.error) return res.status(risk.error.status).json(risk.error.body);
 
-    // If booking starts today or earlier today -> set bike RENTED
-    if (startDate <= new Date()) {
-      await prisma.bike.update({
-        where: { id: bikeId },
-        data: { status: "RENTED" },
-      });
-    } else {
-      await autoFixBikeStatus(bikeId, orgId);
+    const initial = parseInitialPayment(req.body, req.account.id);
+    if (initial.error) return res.status(400).json({ error: initial.error });
+
+    const deposit = parseDepositInput(req.body);
+    if (deposit.error) return res.status(400).json({ error: deposit.error });
+
+    const odometer = parseOdometer(req.body.odometerKm);
+    if (odometer.error) return res.status(400).json({ error: odometer.error });
+
+    const checked = await validateNewBooking({
+      orgId,
+      bikeId,
+      startDate: rawStart,
+      endDate: rawEnd,
+    });
+    if (checked.error) {
+      return res.status(checked.error.status).json(checked.error.body);
     }
 
-    res.json(booking);
+    // odometer is read at checkout, i.e. only when the rental starts now
+    if (odometer.km !== undefined) {
+      if (checked.startDate > new Date()) {
+        return res.status(400).json({
+          error: "Odometer can only be recorded when the bike goes out",
+        });
+      }
+      const rollback = odometerRollbackError(checked.bike, odometer.km);
+      if (rollback) return res.status(400).json({ error: rollback });
+    }
+
+    // booking, override record and odometer reading land together or not
+    // at all
+    const booking = await prisma.$transaction(async (tx) => {
+      const customer = await linkBookingCustomer({
+        client: tx,
+        orgId,
+        parsed: customerInput,
+      });
+
+      const created = await tx.booking.create({
+        data: buildBookingData({
+          orgId,
+          bike: checked.bike,
+          startDate: checked.startDate,
+          endDate: checked.endDate,
+          quote: checked.quote,
+          customer,
+          customerName,
+          totalAmount,
+          payment: initial.payment,
+          deposit: deposit.deposit,
+          notes,
+        }),
+        include: bookingInclude,
+      });
+
+      if (risk.override) {
+        await recordRiskOverride({
+          client: tx,
+          override: risk.override,
+          booking: created,
+        });
+      }
+
+      if (odometer.km !== undefined) {
+        await recordOdometer({
+          client: tx,
+          bike: checked.bike,
+          km: odometer.km,
+          source: "CHECKOUT",
+          bookingId: created.id,
+          accountId: req.account.id,
+        });
+      }
+
+      return created;
+    });
+
+    await syncBikeAfterBooking(booking, orgId);
+
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "create",
+      after: booking,
+    });
+
+    res.json(withBalance(booking));
   } catch (err) {
     console.error("Error creating booking:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
 
+/**
+ * An OVERDUE booking whose end moves past now is running again: back to
+ * ACTIVE (the scheduler only ever moves ACTIVE → OVERDUE), with the
+ * transition on record. No-op otherwise.
+ */
+const reopenOverdue = async (tx, booking, newEnd, source) => {
+  if (booking.status !== "OVERDUE" || newEnd <= new Date()) return;
+  await tx.booking.update({
+    where: { id: booking.id },
+    data: { status: "ACTIVE" },
+  });
+  await tx.statusTransition.create({
+    data: {
+      entityType: "BOOKING",
+      entityId: booking.id,
+      fromStatus: "OVERDUE",
+      toStatus: "ACTIVE",
+      source,
+      organizationId: booking.organizationId,
+    },
+  });
+};
+
 /** UPDATE BOOKING (ORG SCOPED) */
 export const updateBooking = async (req, res) => {
   try {
@@ -323,6 +328,7 @@ export const updateBooking = async (req, res) => {
 
     const existing = await prisma.booking.findFirst({
       where: { id, organizationId: orgId },
+      include: { bike: true, ...activePaymentsInclude },
     });
 
     if (!existing) return res.status(404).json({ error: "Booking not found" });
@@ -337,38 +343,66 @@ export const updateBooking = async (req, res) => {
       notes,
     } = req.body;
 
-    // normalize provided dates, fallback to existing
+    // paidAmount is derived from the ledger; echoing it back is harmless
+    if (
+      paidAmount !== undefined &&
+      Number(paidAmount) !== sumPayments(existing.payments)
+    ) {
+      return res.status(400).json({
+        error: "paidAmount is read-only; record payments via /payments",
+      });
+    }
+
+    if (totalAmount !== undefined) {
+      const total = Number(totalAmount);
+      if (totalAmount === null || isNaN(total) || total < 0) {
+        return res
+          .status(400)
+          .json({ error: "Total amount must be zero or more" });
+      }
+    }
+
+    // exact times for provided dates, fallback to existing
     let newStart = rawStart
-      ? startOfDay(new Date(rawStart))
-      : startOfDay(existing.startDate);
+      ? parseBookingTime(rawStart, "start")
+      : new Date(existing.startDate);
     let newEnd = rawEnd
-      ? endOfDay(new Date(rawEnd))
-      : endOfDay(existing.endDate);
+      ? parseBookingTime(rawEnd, "end")
+      : new Date(existing.endDate);
 
+    if (isNaN(newStart.getTime()) || isNaN(newEnd.getTime())) {
+      return res.status(400).json({ error: "Invalid dates" });
+    }
     if (newStart < today()) {
       return res
         .status(400)
         .json({ error: "Start date cannot be in the past" });
     }
-    if (newEnd < newStart) {
+    if (newEnd <= newStart) {
       return res
         .status(400)
         .json({ error: "End date must be after start date" });
     }
+    const tooLong = rentalLengthError(newStart, newEnd);
+    if (tooLong) return res.status(400).json({ error: tooLong });
 
     // Overlap check excluding this booking
-    const overlap = await prisma.booking.findFirst({
-      where: {
-        bikeId: existing.bikeId,
-        organizationId: orgId,
-        id: { not: id },
-        status: { in: ["ACTIVE", "UPCOMING"] },
-        AND: [{ startDate: { lte: newEnd } }, { endDate: { gte: newStart } }],
-      },
+    const bufferMs = await getBookingBufferMs(orgId);
+    const overlap = await findOverlappingBooking({
+      orgId,
+      bikeId: existing.bikeId,
+      startDate: newStart,
+      endDate: newEnd,
+      bufferMs,
+      excludeId: id,
     });
 
     if (overlap) {
-      const availability = await computeAvailability(existing.bikeId, orgId);
+      const availability = await computeAvailability(
+        existing.bikeId,
+        orgId,
+        bufferMs
+      );
       return res.status(400).json({
         error: "Bike already booked for selected date range",
         blockingBooking: overlap,
@@ -377,54 +411,507 @@ export const updateBooking = async (req, res) => {
       });
     }
 
-    const updated = await prisma.booking.update({
-      where: { id },
-      data: {
-        customerName,
+    const maintenance = await findOverlappingWindow({
+      orgId,
+      bikeId: existing.bikeId,
+      startDate: newStart,
+      endDate: newEnd,
+    });
+    if (maintenance) {
+      return res.status(400).json(maintenanceConflict(maintenance));
+    }
+
+    // a new phone number moves the booking to that customer, through the
+    // same risk gate as a new booking
+    let parsedCustomer = null;
+    let risk = { override: null };
+    if (phone !== undefined) {
+      parsedCustomer = parseCustomerInput({
+        name: customerName ?? existing.customerName,
         phone,
-        startDate: rawStart ? newStart : undefined,
-        endDate: rawEnd ? newEnd : undefined,
-        totalAmount: totalAmount ? Number(totalAmount) : undefined,
-        paidAmount: paidAmount ? Number(paidAmount) : undefined,
-        notes,
-      },
+      });
+      if (parsedCustomer.error) {
+        return res.status(400).json({ error: parsedCustomer.error });
+      }
+      if (parsedCustomer.data.phone !== existing.phone) {
+        risk = await checkCustomerRisk({
+          orgId,
+          parsed: parsedCustomer,
+          account: req.account,
+          canOverride: await hasPermission(req, "customers.overrideRisk"),
+          body: req.body,
+        });
+        if (risk.error) {
+          return res.status(risk.error.status).json(risk.error.body);
+        }
+      }
+    }
+
+    // Re-price when the dates move; a staff-entered total still wins
+    let pricing = {};
+    if (rawStart || rawEnd) {
+      const quote = await quotePrice({
+        orgId,
+        bike: existing.bike,
+        startDate: newStart,
+        endDate: newEnd,
+      });
+      pricing = {
+        totalAmount: Number(totalAmount ?? quote.total),
+        priceBreakdown: bookingBreakdown(quote, totalAmount),
+      };
+    } else if (totalAmount !== undefined) {
+      pricing = { totalAmount: Number(totalAmount) };
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // a new end in the future puts an overdue rental back on time
+      if (rawEnd) await reopenOverdue(tx, existing, newEnd, "update");
+
+      const customer =
+        parsedCustomer &&
+        (await findOrCreateCustomer({
+          client: tx,
+          orgId,
+          data: parsedCustomer.data,
+        }));
+
+      const row = await tx.booking.update({
+        where: { id },
+        data: {
+          customerName,
+          ...(customer && { phone: customer.phone, customerId: customer.id }),
+          startDate: rawStart ? newStart : undefined,
+          endDate: rawEnd ? newEnd : undefined,
+          ...pricing,
+          notes,
+        },
+        include: bookingInclude,
+      });
+
+      if (risk.override) {
+        await recordRiskOverride({
+          client: tx,
+          override: risk.override,
+          booking: row,
+        });
+      }
+
+      return row;
     });
 
     // Recompute bike status after change
     await autoFixBikeStatus(existing.bikeId, orgId);
 
-    res.json(updated);
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "update",
+      before: existing,
+      after: updated,
+    });
+
+    res.json(withBalance(updated));
   } catch (err) {
     console.error("Error updating booking:", err);
     res.status(500).json({ error: "Server error" });
   }
 };
 
-/** MARK AS RETURNED */
+/**
+ * EXTEND BOOKING
+ * POST /api/bookings/:id/extend { endDate }
+ * Works on running rentals too. The extra time is priced on its own and
+ * added to the total; if the bike is taken, other bikes free for the
+ * extra period are suggested.
+ */
+export const extendBooking = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const id = req.params.id;
+    const { endDate: rawEnd } = req.body;
+
+    if (!rawEnd) return res.status(400).json({ error: "endDate is required" });
+
+    const booking = await prisma.booking.findFirst({
+      where: { id, organizationId: orgId },
+      include: { bike: true },
+    });
+
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+      return res
+        .status(400)
+        .json({ error: "Returned bookings cannot be extended" });
+    }
+
+    const currentEnd = new Date(booking.endDate);
+    const newEnd = parseBookingTime(rawEnd, "end");
+
+    if (isNaN(newEnd.getTime())) {
+      return res.status(400).json({ error: "Invalid end date" });
+    }
+    if (newEnd <= currentEnd) {
+      return res
+        .status(400)
+        .json({ error: "New end date must be after the current end date" });
+    }
+    const tooLong = rentalLengthError(new Date(booking.startDate), newEnd);
+    if (tooLong) return res.status(400).json({ error: tooLong });
+
+    const bufferMs = await getBookingBufferMs(orgId);
+    const overlap = await findOverlappingBooking({
+      orgId,
+      bikeId: booking.bikeId,
+      startDate: currentEnd,
+      endDate: newEnd,
+      bufferMs,
+      excludeId: id,
+    });
+    const maintenance = await findOverlappingWindow({
+      orgId,
+      bikeId: booking.bikeId,
+      startDate: currentEnd,
+      endDate: newEnd,
+    });
+
+    if (overlap || maintenance) {
+      // the bike is needed back by whichever comes first
+      const freeUntil = new Date(
+        Math.min(
+          overlap ? new Date(overlap.startDate) - bufferMs : Infinity,
+          maintenance ? new Date(maintenance.startDate).getTime() : Infinity
+        )
+      );
+      const alternatives = await findAvailableBikes({
+        orgId,
+        startDate: currentEnd,
+        endDate: newEnd,
+        bufferMs,
+        excludeBikeIds: [booking.bikeId],
+      });
+
+      const context = await loadPricingContext(orgId, currentEnd, newEnd);
+      const suggestions = [];
+      for (const bike of alternatives.slice(0, 5)) {
+        const quote = await quotePrice({
+          orgId,
+          bike,
+          startDate: currentEnd,
+          endDate: newEnd,
+          context,
+        });
+        suggestions.push({
+          bike: {
+            id: bike.id,
+            name: bike.name,
+            model: bike.model,
+            registrationNumber: bike.registrationNumber,
+          },
+          quote: { total: quote.total, lineItems: quote.lineItems },
+        });
+      }
+
+      return res.status(409).json({
+        error: overlap
+          ? "Bike is booked during the extension period"
+          : "Bike is scheduled for maintenance during the extension period",
+        blockingBooking: overlap && {
+          id: overlap.id,
+          startDate: overlap.startDate,
+          endDate: overlap.endDate,
+        },
+        maintenanceWindow: maintenance && {
+          id: maintenance.id,
+          startDate: maintenance.startDate,
+          endDate: maintenance.endDate,
+        },
+        // latest end this bike can still be extended to
+        maxEndDate: freeUntil > currentEnd ? freeUntil.toISOString() : null,
+        alternatives: suggestions,
+      });
+    }
+
+    const quote = await quotePrice({
+      orgId,
+      bike: booking.bike,
+      startDate: currentEnd,
+      endDate: newEnd,
+    });
+
+    const breakdown = booking.priceBreakdown || { lineItems: [] };
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await reopenOverdue(tx, booking, newEnd, "extend");
+      return tx.booking.update({
+        where: { id },
+        data: {
+          endDate: newEnd,
+          totalAmount: roundMoney(booking.totalAmount + quote.total),
+          priceBreakdown: {
+            ...breakdown,
+            lineItems: [
+              ...(breakdown.lineItems || []),
+              {
+                type: "EXTENSION",
+                from: currentEnd.toISOString(),
+                to: newEnd.toISOString(),
+                amount: quote.total,
+                lineItems: quote.lineItems,
+              },
+            ],
+          },
+        },
+        include: bookingInclude,
+      });
+    });
+
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "extend",
+      before: booking,
+      after: updated,
+    });
+
+    res.json({
+      message: "Booking extended",
+      extension: {
+        from: currentEnd,
+        to: newEnd,
+        amount: quote.total,
+        lineItems: quote.lineItems,
+      },
+      booking: withBalance(updated),
+    });
+  } catch (err) {
+    console.error("Error extending booking:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * MARK AS RETURNED
+ * Body (all optional):
+ *   returnedAt                        — actual return time (default now)
+ *   waiveLateFee, waiveReason         — skip the late fee, on record
+ *   deductions: [{ amount, reason }]  — kept from a held deposit
+ *   refundMethod                      — how the rest was paid back
+ */
 export const markReturned = async (req, res) => {
   try {
     const orgId = req.organizationId;
     const id = req.params.id;
+    const {
+      returnedAt: rawReturnedAt,
+      odometerKm,
+      waiveLateFee,
+      waiveReason,
+      deductions,
+      refundMethod,
+      inspection: rawInspection,
+    } = req.body || {};
 
     const booking = await prisma.booking.findFirst({
       where: { id, organizationId: orgId },
+      include: { bike: true },
     });
 
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
+    if (booking.status === "RETURNED") {
+      return res.status(400).json({ error: "Booking already returned" });
+    }
+    if (booking.status === "NO_SHOW") {
+      return res
+        .status(400)
+        .json({ error: "The bike was never picked up for this booking" });
+    }
+
     const now = new Date();
+    const returnedAt = rawReturnedAt ? new Date(rawReturnedAt) : now;
+    if (
+      isNaN(returnedAt.getTime()) ||
+      returnedAt > now ||
+      returnedAt < new Date(booking.startDate)
+    ) {
+      return res.status(400).json({ error: "Invalid return time" });
+    }
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: {
-        status: "RETURNED",
-        endDate: now,
-      },
+    // optional check-in inspection, compared against the pickup one
+    let checkinInput = null;
+    if (rawInspection) {
+      const parsed = parseInspectionInput(rawInspection);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      checkinInput = parsed.data;
+    }
+
+    const odometer = parseOdometer(
+      odometerKm ?? checkinInput?.odometerKm ?? undefined
+    );
+    if (odometer.error) return res.status(400).json({ error: odometer.error });
+    if (odometer.km !== undefined) {
+      const rollback = odometerRollbackError(booking.bike, odometer.km);
+      if (rollback) return res.status(400).json({ error: rollback });
+    }
+
+    // Late fee: charged past the grace period, added to the total
+    const late = await computeLateFee({
+      booking,
+      bike: booking.bike,
+      orgId,
+      returnedAt,
     });
+    let lateFee = late.fee;
+    let lateLineItem = late.lineItem;
+    if (lateLineItem && waiveLateFee) {
+      lateLineItem = {
+        ...lateLineItem,
+        amount: 0,
+        waived: { amount: late.fee, reason: waiveReason || null },
+      };
+      lateFee = 0;
+    }
+
+    // Deposit settlement step
+    let settlement = null;
+    if (booking.depositStatus === "HELD") {
+      settlement = computeSettlement(booking.depositAmount, deductions);
+      if (settlement.error) {
+        return res.status(400).json({ error: settlement.error });
+      }
+
+      const method = String(
+        refundMethod || booking.depositMethod || "CASH"
+      ).toUpperCase();
+      if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: `Refund method must be one of ${PAYMENT_METHODS.join(", ")}`,
+        });
+      }
+      settlement.refundMethod = settlement.refundAmount > 0 ? method : null;
+    }
+
+    const breakdown = booking.priceBreakdown || { lineItems: [] };
+
+    // the return, its fees and settlement, the odometer reading and the
+    // check-in inspection are saved together or not at all
+    const { updatedBooking, distanceKm, inspection } =
+      await prisma.$transaction(async (tx) => {
+        const updated = await tx.booking.update({
+          where: { id },
+          data: {
+            status: "RETURNED",
+            returnedAt,
+            ...(lateLineItem && {
+              lateFee,
+              totalAmount: roundMoney(booking.totalAmount + lateFee),
+              priceBreakdown: {
+                ...breakdown,
+                lineItems: [...(breakdown.lineItems || []), lateLineItem],
+              },
+            }),
+            ...(settlement && {
+              depositStatus: settlement.status,
+              depositRefundAmount: settlement.refundAmount,
+              depositRefundMethod: settlement.refundMethod,
+              depositSettledAt: returnedAt,
+              depositSettledById: req.account.id,
+              depositDeductions: {
+                create: settlement.deductions.map((d) => ({
+                  ...d,
+                  createdById: req.account.id,
+                })),
+              },
+            }),
+          },
+          include: { ...activePaymentsInclude, depositDeductions: true },
+        });
+
+        // distance ridden, when the bike was read at checkout too
+        let distance = null;
+        if (odometer.km !== undefined) {
+          await recordOdometer({
+            client: tx,
+            bike: booking.bike,
+            km: odometer.km,
+            source: "RETURN",
+            bookingId: booking.id,
+            accountId: req.account.id,
+            recordedAt: returnedAt,
+          });
+          const checkout = await tx.odometerReading.findFirst({
+            where: { bookingId: booking.id, source: "CHECKOUT" },
+            orderBy: { recordedAt: "desc" },
+          });
+          if (checkout) distance = odometer.km - checkout.km;
+        }
+
+        let checkinResult = null;
+        if (checkinInput) {
+          const checkin = await tx.inspection.create({
+            data: {
+              ...checkinInput,
+              odometerKm: odometer.km ?? null,
+              type: "CHECKIN",
+              bookingId: booking.id,
+              inspectedById: req.account.id,
+              organizationId: orgId,
+            },
+            include: photoInclude,
+          });
+          const checkout = await tx.inspection.findUnique({
+            where: {
+              bookingId_type: { bookingId: booking.id, type: "CHECKOUT" },
+            },
+          });
+          checkinResult = {
+            checkin,
+            // null when the bike went out without a pickup inspection
+            comparison: compareInspections(checkout, checkin),
+          };
+        }
+
+        return {
+          updatedBooking: updated,
+          distanceKm: distance,
+          inspection: checkinResult,
+        };
+      });
 
     await autoFixBikeStatus(booking.bikeId, orgId);
 
-    res.json({ message: "Marked as returned", booking: updatedBooking });
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "return",
+      before: booking,
+      after: updatedBooking,
+    });
+
+    const result = withBalance(updatedBooking);
+
+    res.json({
+      message: "Marked as returned",
+      booking: result,
+      lateReturn: {
+        scheduledEnd: booking.endDate,
+        returnedAt,
+        lateMinutes: late.lateMinutes,
+        fee: lateFee,
+        waived: Boolean(lateLineItem?.waived),
+      },
+      amountOwed: result.balanceDue,
+      odometer:
+        odometer.km !== undefined ? { km: odometer.km, distanceKm } : null,
+      inspection,
+      deposit: settlement && {
+        held: booking.depositAmount,
+        deducted: settlement.totalDeducted,
+        refunded: settlement.refundAmount,
+        refundMethod: settlement.refundMethod,
+        status: settlement.status,
+        deductions: updatedBooking.depositDeductions,
+      },
+    });
   } catch (err) {
     console.error("Error marking returned:", err);
     res.status(500).json({ error: "Server error" });
@@ -439,14 +926,42 @@ export const deleteBooking = async (req, res) => {
 
     const booking = await prisma.booking.findFirst({
       where: { id, organizationId: orgId },
+      include: { _count: { select: { payments: true, inspections: true } } },
     });
 
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
+    // ledger rows, voided or not, are kept for good (Payment restricts the
+    // delete)
+    if (booking._count.payments > 0) {
+      return res.status(400).json({
+        error: "Bookings with payments on record can't be deleted",
+      });
+    }
+
+    // nor is inspection evidence (and the photos it points at)
+    if (booking._count.inspections > 0) {
+      return res.status(400).json({
+        error: "Bookings with inspections on record can't be deleted",
+      });
+    }
+
+    if (booking.depositStatus === "HELD") {
+      return res.status(400).json({
+        error: "Settle the held deposit before deleting this booking",
+      });
+    }
+
     await prisma.booking.delete({ where: { id } });
 
     await autoFixBikeStatus(booking.bikeId, orgId);
 
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "delete",
+      before: booking,
+    });
+
     res.json({ message: "Booking deleted" });
   } catch (err) {
     console.error("Error deleting booking:", err);
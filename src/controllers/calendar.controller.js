@@ -0,0 +1,169 @@
+// src/controllers/calendar.controller.js
+import prisma from "../config/prisma.js";
+import { MS_PER_DAY, startOfDay, parseBookingTime } from "../utils/dates.js";
+import {
+  OPEN_BOOKING_STATUSES,
+  getBookingBufferMs,
+  mergeBookingChains,
+} from "../services/booking.service.js";
+import { windowOverlapFilter } from "../services/maintenance.service.js";
+
+const MAX_WINDOW_DAYS = 93;
+
+/** Returned bookings occupy the bike until they actually came back */
+const occupiedUntil = (b) =>
+  b.status === "RETURNED" && b.returnedAt ? b.returnedAt : b.endDate;
+
+/**
+ * FLEET CALENDAR
+ * GET /api/bookings/calendar?from=&to=
+ * Every bike with its bookings (contiguous ones merged into blocks, the
+ * individual booking IDs kept) and maintenance blocks over the window,
+ * plus per-day occupancy counts for the whole fleet.
+ */
+export const getCalendar = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ error: "from and to are required" });
+    }
+
+    const fromDate = parseBookingTime(from, "start");
+    const toDate = parseBookingTime(to, "end");
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({ error: "Invalid dates" });
+    }
+    if (toDate <= fromDate) {
+      return res.status(400).json({ error: "to must be after from" });
+    }
+    if (toDate - fromDate > MAX_WINDOW_DAYS * MS_PER_DAY) {
+      return res
+        .status(400)
+        .json({ error: `Window cannot exceed ${MAX_WINDOW_DAYS} days` });
+    }
+
+    const bufferMs = await getBookingBufferMs(orgId);
+
+    const bikes = await prisma.bike.findMany({
+      where: { organizationId: orgId },
+      select: {
+        id: true,
+        name: true,
+        model: true,
+        registrationNumber: true,
+        category: true,
+        status: true,
+      },
+      orderBy: { name: "asc" },
+    });
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        organizationId: orgId,
+        startDate: { lte: toDate },
+        OR: [
+          {
+            status: { in: OPEN_BOOKING_STATUSES },
+            endDate: { gte: fromDate },
+          },
+          { status: "RETURNED", returnedAt: { gte: fromDate } },
+        ],
+      },
+      select: {
+        id: true,
+        bikeId: true,
+        customerName: true,
+        phone: true,
+        status: true,
+        startDate: true,
+        endDate: true,
+        returnedAt: true,
+      },
+      orderBy: { startDate: "asc" },
+    });
+
+    const byBike = new Map(bikes.map((b) => [b.id, []]));
+    for (const b of bookings) {
+      byBike.get(b.bikeId)?.push({ ...b, endDate: occupiedUntil(b) });
+    }
+
+    const windows = await prisma.maintenanceWindow.findMany({
+      where: {
+        organizationId: orgId,
+        ...windowOverlapFilter({ startDate: fromDate, endDate: toDate }),
+      },
+      orderBy: { startDate: "asc" },
+    });
+
+    const windowsByBike = new Map(bikes.map((b) => [b.id, []]));
+    for (const w of windows) windowsByBike.get(w.bikeId)?.push(w);
+
+    const rows = bikes.map((bike) => {
+      const blocks = mergeBookingChains(byBike.get(bike.id), bufferMs).map(
+        (chain) => ({
+          type: "BOOKING",
+          start: chain.start,
+          end: chain.end,
+          bookingIds: chain.ids,
+          bookings: chain.raws.map(({ bikeId, ...rest }) => rest),
+        })
+      );
+
+      for (const w of windowsByBike.get(bike.id)) {
+        blocks.push({
+          type: "MAINTENANCE",
+          start: w.startDate > fromDate ? w.startDate : fromDate,
+          // open-ended windows run past the end of the view
+          end: w.endDate && w.endDate < toDate ? w.endDate : toDate,
+          maintenanceWindowId: w.id,
+          reason: w.reason,
+          workshop: w.workshop,
+        });
+      }
+
+      blocks.sort((a, b) => a.start - b.start);
+      return { bike, blocks };
+    });
+
+    // per-day occupancy
+    const days = [];
+    for (
+      let day = startOfDay(fromDate);
+      day <= toDate;
+      day = new Date(day.getTime() + MS_PER_DAY)
+    ) {
+      const dayEnd = new Date(day.getTime() + MS_PER_DAY - 1);
+      let booked = 0;
+      let maintenance = 0;
+
+      for (const row of rows) {
+        const hits = row.blocks.filter(
+          (b) => b.start <= dayEnd && b.end >= day
+        );
+        if (hits.some((b) => b.type === "MAINTENANCE")) maintenance++;
+        else if (hits.length) booked++;
+      }
+
+      days.push({
+        date: day.toISOString(),
+        booked,
+        maintenance,
+        free: bikes.length - booked - maintenance,
+        occupancy: bikes.length ? booked / bikes.length : 0,
+      });
+    }
+
+    res.json({
+      from: fromDate,
+      to: toDate,
+      totalBikes: bikes.length,
+      bikes: rows,
+      days,
+    });
+  } catch (err) {
+    console.error("Error building calendar:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,248 @@
+// src/controllers/customers.controller.js
+import prisma from "../config/prisma.js";
+import {
+  customerStats,
+  parseCustomerInput,
+  parseFlagInput,
+} from "../services/customer.service.js";
+import {
+  activePaymentsInclude,
+  withBalance,
+} from "../services/payment.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const MAX_PAGE_SIZE = 100;
+
+const flagPeople = {
+  flaggedBy: { select: { id: true, name: true } },
+  clearedBy: { select: { id: true, name: true } },
+};
+
+const findOrgCustomer = (id, orgId) =>
+  prisma.customer.findFirst({ where: { id, organizationId: orgId } });
+
+/**
+ * LIST / SEARCH CUSTOMERS
+ * GET /api/customers?q=&limit=
+ * q matches the name, or the phone when it contains digits.
+ */
+export const getCustomers = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+
+    const digits = q.replace(/\D/g, "");
+    const customers = await prisma.customer.findMany({
+      where: {
+        organizationId: orgId,
+        ...(q && {
+          OR: [
+            { name: { contains: q, mode: "insensitive" } },
+            ...(digits ? [{ phone: { contains: digits } }] : []),
+          ],
+        }),
+      },
+      include: {
+        _count: { select: { bookings: true } },
+        // active flags, so the list can badge risky customers
+        flags: {
+          where: { clearedAt: null },
+          select: { id: true, level: true, reason: true },
+        },
+      },
+      orderBy: { updatedAt: "desc" },
+      take: limit,
+    });
+
+    res.json(customers);
+  } catch (err) {
+    console.error("Error loading customers:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * CUSTOMER PROFILE
+ * GET /api/customers/:id
+ * Profile, every booking (newest first) and lifetime figures.
+ */
+export const getCustomerById = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const customer = await prisma.customer.findFirst({
+      where: { id: req.params.id, organizationId: orgId },
+      include: {
+        flags: { include: flagPeople, orderBy: { createdAt: "desc" } },
+        riskOverrides: {
+          include: { account: { select: { id: true, name: true } } },
+          orderBy: { createdAt: "desc" },
+        },
+      },
+    });
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const bookings = await prisma.booking.findMany({
+      where: { customerId: customer.id, organizationId: orgId },
+      include: {
+        bike: { select: { id: true, name: true, registrationNumber: true } },
+        ...activePaymentsInclude,
+      },
+      orderBy: { startDate: "desc" },
+    });
+
+    res.json({
+      ...customer,
+      stats: customerStats(bookings),
+      bookings: bookings.map(withBalance),
+    });
+  } catch (err) {
+    console.error("Error loading customer:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** CREATE CUSTOMER */
+export const createCustomer = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const input = parseCustomerInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const customer = await prisma.customer.create({
+      data: { ...input.data, organizationId: orgId },
+    });
+
+    await recordAudit(req, {
+      entityType: "Customer",
+      action: "create",
+      after: customer,
+    });
+
+    res.status(201).json(customer);
+  } catch (err) {
+    console.error("Error creating customer:", err);
+
+    // unique (organizationId, phone)
+    if (err.code === "P2002") {
+      return res
+        .status(409)
+        .json({ error: "A customer with this phone number already exists" });
+    }
+
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UPDATE CUSTOMER */
+export const updateCustomer = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const existing = await findOrgCustomer(req.params.id, orgId);
+    if (!existing) return res.status(404).json({ error: "Customer not found" });
+
+    const input = parseCustomerInput(req.body, { partial: true });
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const customer = await prisma.customer.update({
+      where: { id: existing.id },
+      data: input.data,
+    });
+
+    await recordAudit(req, {
+      entityType: "Customer",
+      action: "update",
+      before: existing,
+      after: customer,
+    });
+
+    res.json(customer);
+  } catch (err) {
+    console.error("Error updating customer:", err);
+
+    if (err.code === "P2002") {
+      return res
+        .status(409)
+        .json({ error: "A customer with this phone number already exists" });
+    }
+
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * FLAG CUSTOMER
+ * POST /api/customers/:id/flags
+ * WARNING flags make bookings need an override; BLACKLIST blocks them.
+ */
+export const addCustomerFlag = async (req, res) => {
+  try {
+    const customer = await findOrgCustomer(req.params.id, req.organizationId);
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const input = parseFlagInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const flag = await prisma.customerFlag.create({
+      data: {
+        ...input.data,
+        customerId: customer.id,
+        flaggedById: req.account.id,
+      },
+      include: flagPeople,
+    });
+
+    await recordAudit(req, {
+      entityType: "CustomerFlag",
+      action: "create",
+      after: flag,
+    });
+
+    res.status(201).json(flag);
+  } catch (err) {
+    console.error("Error flagging customer:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** CLEAR FLAG (customers.clearFlags) — kept on record with who cleared it and why */
+export const clearCustomerFlag = async (req, res) => {
+  try {
+    const flag = await prisma.customerFlag.findFirst({
+      where: {
+        id: req.params.flagId,
+        customerId: req.params.id,
+        customer: { organizationId: req.organizationId },
+      },
+    });
+    if (!flag) return res.status(404).json({ error: "Flag not found" });
+    if (flag.clearedAt) {
+      return res.status(400).json({ error: "Flag already cleared" });
+    }
+
+    const updated = await prisma.customerFlag.update({
+      where: { id: flag.id },
+      data: {
+        clearedAt: new Date(),
+        clearNote: req.body?.note || null,
+        clearedById: req.account.id,
+      },
+      include: flagPeople,
+    });
+
+    await recordAudit(req, {
+      entityType: "CustomerFlag",
+      action: "clear",
+      before: flag,
+      after: updated,
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error clearing customer flag:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
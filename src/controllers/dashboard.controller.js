@@ -1,9 +1,13 @@
 import prisma from "../config/prisma.js";
+import { OPEN_LEAD_STATUSES } from "../utils/leadPipeline.js";
+import { hasPermission } from "../middlewares/permission.middleware.js";
 
 export const getDashboard = async (req, res) => {
   try {
     const orgId = req.organizationId;
     const now = new Date();
+    // revenue figures are left out for accounts without reports.revenue
+    const showRevenue = await hasPermission(req, "reports.revenue");
 
     // Get organization details
     const organization = await prisma.organization.findUnique({
@@ -41,10 +45,15 @@ export const getDashboard = async (req, res) => {
       where: { organizationId: orgId, status: "UPCOMING" },
     });
 
+    const overdueBookings = await prisma.booking.count({
+      where: { organizationId: orgId, status: "OVERDUE" },
+    });
+
+    // overdue, plus active ones the scheduler hasn't flagged yet
     const pendingReturns = await prisma.booking.count({
       where: {
         organizationId: orgId,
-        status: "ACTIVE",
+        status: { in: ["ACTIVE", "OVERDUE"] },
         endDate: { lt: now },
       },
     });
@@ -53,7 +62,7 @@ export const getDashboard = async (req, res) => {
       where: {
         organizationId: orgId,
         status: "RETURNED",
-        updatedAt: {
+        returnedAt: {
           gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
         },
       },
@@ -62,24 +71,26 @@ export const getDashboard = async (req, res) => {
     // ───────────────────────────────────────────────
     // REVENUE
     // ───────────────────────────────────────────────
-    const revenue = await prisma.booking.aggregate({
-      where: { organizationId: orgId },
-      _sum: { paidAmount: true },
+    // Built from the payment ledger — voided payments never count
+    const revenue = await prisma.payment.aggregate({
+      where: { organizationId: orgId, voidedAt: null },
+      _sum: { amount: true },
     });
 
-    const totalRevenue = revenue._sum.paidAmount || 0;
+    const totalRevenue = revenue._sum.amount || 0;
 
-    const monthRevenue = await prisma.booking.aggregate({
+    const monthRevenue = await prisma.payment.aggregate({
       where: {
         organizationId: orgId,
-        createdAt: {
+        voidedAt: null,
+        paidAt: {
           gte: new Date(now.getFullYear(), now.getMonth(), 1),
         },
       },
-      _sum: { paidAmount: true },
+      _sum: { amount: true },
     });
 
-    const thisMonthRevenue = monthRevenue._sum.paidAmount || 0;
+    const thisMonthRevenue = monthRevenue._sum.amount || 0;
 
     // ───────────────────────────────────────────────
     // LEADS SUMMARY
@@ -91,10 +102,34 @@ export const getDashboard = async (req, res) => {
     const openLeads = await prisma.lead.count({
       where: {
         organizationId: orgId,
-        status: { in: ["new", "in_progress"] },
+        status: { in: OPEN_LEAD_STATUSES },
+      },
+    });
+
+    const endOfToday = new Date(now);
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const followUpsDue = await prisma.lead.count({
+      where: {
+        organizationId: orgId,
+        status: { in: OPEN_LEAD_STATUSES },
+        followUpAt: { lte: endOfToday },
       },
     });
 
+    const leadConversions = await prisma.booking.count({
+      where: { organizationId: orgId, leadId: { not: null } },
+    });
+
+    const leadRevenue = await prisma.payment.aggregate({
+      where: {
+        organizationId: orgId,
+        voidedAt: null,
+        booking: { leadId: { not: null } },
+      },
+      _sum: { amount: true },
+    });
+
     // ───────────────────────────────────────────────
     // RESPONSE
     // ───────────────────────────────────────────────
@@ -112,17 +147,25 @@ export const getDashboard = async (req, res) => {
       bookings: {
         active: activeBookings,
         upcoming: upcomingBookings,
+        overdue: overdueBookings,
         pendingReturns,
         returnedToday,
       },
       leads: {
         new: newLeads,
         open: openLeads,
+        followUpsDue,
+        converted: leadConversions,
+        ...(showRevenue && {
+          convertedRevenue: leadRevenue._sum.amount || 0,
+        }),
       },
-      revenue: {
-        total: totalRevenue,
-        thisMonth: thisMonthRevenue,
-      },
+      ...(showRevenue && {
+        revenue: {
+          total: totalRevenue,
+          thisMonth: thisMonthRevenue,
+        },
+      }),
     });
   } catch (err) {
     console.error("Dashboard error:", err);
@@ -0,0 +1,112 @@
+// src/controllers/deposits.controller.js
+import prisma from "../config/prisma.js";
+import { parseDepositInput, depositData } from "../services/deposit.service.js";
+import { roundMoney } from "../services/payment.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+/**
+ * DEPOSITS REPORT
+ * GET /api/bookings/deposits?status=HELD → deposits by status across the
+ * org (defaults to those currently held) with totals per method.
+ */
+export const getDepositsReport = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const status = String(req.query.status || "HELD").toUpperCase();
+
+    const valid = ["HELD", "PARTIALLY_REFUNDED", "REFUNDED", "FORFEITED"];
+    if (!valid.includes(status)) {
+      return res.status(400).json({ error: "Invalid deposit status" });
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { organizationId: orgId, depositStatus: status },
+      select: {
+        id: true,
+        customerName: true,
+        phone: true,
+        startDate: true,
+        endDate: true,
+        status: true,
+        depositAmount: true,
+        depositMethod: true,
+        depositStatus: true,
+        depositCollectedAt: true,
+        depositRefundAmount: true,
+        depositSettledAt: true,
+        bike: { select: { id: true, name: true, registrationNumber: true } },
+        depositDeductions: true,
+      },
+      orderBy: { depositCollectedAt: "asc" },
+    });
+
+    const byMethod = {};
+    for (const b of bookings) {
+      const key = b.depositMethod || "UNKNOWN";
+      byMethod[key] = roundMoney((byMethod[key] || 0) + b.depositAmount);
+    }
+
+    res.json({
+      status,
+      count: bookings.length,
+      total: roundMoney(bookings.reduce((sum, b) => sum + b.depositAmount, 0)),
+      byMethod,
+      bookings,
+    });
+  } catch (err) {
+    console.error("Error loading deposits:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** COLLECT DEPOSIT on a booking that was created without one */
+export const collectDeposit = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const parsed = parseDepositInput({
+      depositAmount: req.body.amount,
+      depositMethod: req.body.method,
+    });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (!parsed.deposit) {
+      return res.status(400).json({ error: "Deposit amount is required" });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: { id: req.params.id, organizationId: orgId },
+    });
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    if (booking.status === "RETURNED") {
+      return res.status(400).json({ error: "Booking already returned" });
+    }
+    if (booking.depositStatus !== "NONE") {
+      return res.status(400).json({ error: "Deposit already collected" });
+    }
+
+    const updated = await prisma.booking.update({
+      where: { id: booking.id },
+      data: depositData(parsed.deposit),
+      select: {
+        id: true,
+        depositAmount: true,
+        depositMethod: true,
+        depositStatus: true,
+        depositCollectedAt: true,
+      },
+    });
+
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "collect_deposit",
+      before: booking,
+      after: updated,
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error collecting deposit:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,285 @@
+// src/controllers/inspections.controller.js
+import { randomUUID } from "crypto";
+import prisma from "../config/prisma.js";
+import { startOfDay } from "../utils/dates.js";
+import { autoFixBikeStatus } from "../services/booking.service.js";
+import {
+  MAX_PHOTO_BYTES,
+  PHOTO_TYPES,
+  compareInspections,
+  parseInspectionInput,
+  photoInclude,
+} from "../services/inspection.service.js";
+import {
+  odometerRollbackError,
+  recordOdometer,
+} from "../services/servicing.service.js";
+import { getStorage } from "../services/storage.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const INSPECTION_TYPES = { checkout: "CHECKOUT", checkin: "CHECKIN" };
+
+/**
+ * PICK UP
+ * POST /api/bookings/:id/pickup
+ * Records the check-out inspection and hands the bike over: an UPCOMING
+ * booking becomes ACTIVE and the odometer reading is logged. This is the
+ * only way a scheduled booking becomes ACTIVE (the scheduler doesn't
+ * activate bookings); an ACTIVE one here is a walk-in that was created
+ * already running and just gets its inspection.
+ */
+export const pickupBooking = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { id } = req.params;
+
+    const booking = await prisma.booking.findFirst({
+      where: { id, organizationId: orgId },
+      include: { bike: true, inspections: { where: { type: "CHECKOUT" } } },
+    });
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    if (!["UPCOMING", "ACTIVE"].includes(booking.status)) {
+      return res
+        .status(400)
+        .json({ error: "Only upcoming or active bookings can be picked up" });
+    }
+    if (booking.inspections.length > 0) {
+      return res.status(409).json({ error: "Booking already picked up" });
+    }
+
+    const now = new Date();
+    if (startOfDay(booking.startDate) > now) {
+      return res
+        .status(400)
+        .json({ error: "Pickup opens on the booking's start day" });
+    }
+
+    const input = parseInspectionInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const { odometerKm } = input.data;
+    if (odometerKm !== null) {
+      const rollback = odometerRollbackError(booking.bike, odometerKm);
+      if (rollback) return res.status(400).json({ error: rollback });
+    }
+
+    const inspection = await prisma.$transaction(async (tx) => {
+      const created = await tx.inspection.create({
+        data: {
+          ...input.data,
+          type: "CHECKOUT",
+          bookingId: booking.id,
+          inspectedById: req.account.id,
+          organizationId: orgId,
+        },
+        include: photoInclude,
+      });
+
+      if (booking.status === "UPCOMING") {
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: { status: "ACTIVE" },
+        });
+        await tx.statusTransition.create({
+          data: {
+            entityType: "BOOKING",
+            entityId: booking.id,
+            fromStatus: "UPCOMING",
+            toStatus: "ACTIVE",
+            source: "pickup",
+            organizationId: orgId,
+          },
+        });
+      }
+
+      if (odometerKm !== null) {
+        await recordOdometer({
+          client: tx,
+          bike: booking.bike,
+          km: odometerKm,
+          source: "CHECKOUT",
+          bookingId: booking.id,
+          accountId: req.account.id,
+        });
+      }
+
+      return created;
+    });
+
+    await autoFixBikeStatus(booking.bikeId, orgId);
+
+    await recordAudit(req, {
+      entityType: "Booking",
+      entityId: booking.id,
+      action: "pickup",
+      before: { status: booking.status },
+      after: { status: "ACTIVE", inspectionId: inspection.id },
+    });
+
+    res.status(201).json({
+      message: "Bike picked up",
+      booking: { id: booking.id, status: "ACTIVE" },
+      inspection,
+    });
+  } catch (err) {
+    console.error("Error recording pickup:", err);
+
+    // unique (bookingId, type) — a parallel request got there first
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "Booking already picked up" });
+    }
+
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET INSPECTIONS FOR A BOOKING, with the pickup/return comparison */
+export const getInspections = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const booking = await prisma.booking.findFirst({
+      where: { id: req.params.id, organizationId: orgId },
+      select: { id: true },
+    });
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const inspections = await prisma.inspection.findMany({
+      where: { bookingId: booking.id, organizationId: orgId },
+      include: {
+        ...photoInclude,
+        inspectedBy: { select: { id: true, name: true } },
+      },
+    });
+
+    const checkout = inspections.find((i) => i.type === "CHECKOUT") || null;
+    const checkin = inspections.find((i) => i.type === "CHECKIN") || null;
+
+    res.json({
+      checkout,
+      checkin,
+      comparison: compareInspections(checkout, checkin),
+    });
+  } catch (err) {
+    console.error("Error loading inspections:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * UPLOAD INSPECTION PHOTO
+ * POST /api/bookings/:id/inspections/:type/photos?area=&caption=
+ * Body is the raw image (Content-Type image/jpeg, png, webp or heic).
+ */
+export const uploadInspectionPhoto = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const type = INSPECTION_TYPES[String(req.params.type).toLowerCase()];
+    if (!type) {
+      return res
+        .status(400)
+        .json({ error: "Inspection type must be checkout or checkin" });
+    }
+
+    const contentType = req.get("content-type")?.split(";")[0];
+    const ext = PHOTO_TYPES[contentType];
+    if (!ext) {
+      return res.status(415).json({
+        error: `Photos must be one of ${Object.keys(PHOTO_TYPES).join(", ")}`,
+      });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Photo is empty" });
+    }
+    if (req.body.length > MAX_PHOTO_BYTES) {
+      return res.status(413).json({ error: "Photo is too large" });
+    }
+
+    const inspection = await prisma.inspection.findFirst({
+      where: { bookingId: req.params.id, type, organizationId: orgId },
+    });
+    if (!inspection) {
+      return res.status(404).json({ error: "Inspection not found" });
+    }
+
+    const storageKey = `inspections/${inspection.bookingId}/${randomUUID()}.${ext}`;
+    await getStorage().save(storageKey, req.body, contentType);
+
+    const photo = await prisma.inspectionPhoto.create({
+      data: {
+        storageKey,
+        contentType,
+        size: req.body.length,
+        area: req.query.area || null,
+        caption: req.query.caption || null,
+        inspectionId: inspection.id,
+      },
+      select: photoInclude.photos.select,
+    });
+
+    await recordAudit(req, {
+      entityType: "InspectionPhoto",
+      action: "create",
+      after: { ...photo, inspectionId: inspection.id },
+    });
+
+    res.status(201).json(photo);
+  } catch (err) {
+    console.error("Error uploading inspection photo:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+const findBookingPhoto = (photoId, bookingId, orgId) =>
+  prisma.inspectionPhoto.findFirst({
+    where: {
+      id: photoId,
+      inspection: { bookingId, organizationId: orgId },
+    },
+  });
+
+/** GET INSPECTION PHOTO (the image itself) */
+export const getInspectionPhoto = async (req, res) => {
+  try {
+    const photo = await findBookingPhoto(
+      req.params.photoId,
+      req.params.id,
+      req.organizationId
+    );
+    if (!photo) return res.status(404).json({ error: "Photo not found" });
+
+    const data = await getStorage().read(photo.storageKey);
+
+    res.type(photo.contentType).send(data);
+  } catch (err) {
+    console.error("Error loading inspection photo:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** DELETE INSPECTION PHOTO */
+export const deleteInspectionPhoto = async (req, res) => {
+  try {
+    const photo = await findBookingPhoto(
+      req.params.photoId,
+      req.params.id,
+      req.organizationId
+    );
+    if (!photo) return res.status(404).json({ error: "Photo not found" });
+
+    await prisma.inspectionPhoto.delete({ where: { id: photo.id } });
+    await getStorage().remove(photo.storageKey);
+
+    await recordAudit(req, {
+      entityType: "InspectionPhoto",
+      action: "delete",
+      before: photo,
+    });
+
+    res.json({ message: "Photo deleted" });
+  } catch (err) {
+    console.error("Error deleting inspection photo:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
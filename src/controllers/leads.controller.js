@@ -1,21 +1,107 @@
+import crypto from "crypto";
 import prisma from "../config/prisma.js";
+import {
+  LEAD_STATUSES,
+  OPEN_LEAD_STATUSES,
+  isLeadStatus,
+  canTransition,
+  allowedTransitions,
+} from "../utils/leadPipeline.js";
+import {
+  validateNewBooking,
+  buildBookingData,
+  syncBikeAfterBooking,
+} from "../services/booking.service.js";
+import {
+  activePaymentsInclude,
+  withBalance,
+  sumPayments,
+  parseInitialPayment,
+} from "../services/payment.service.js";
+import { parseDepositInput } from "../services/deposit.service.js";
+import {
+  checkCustomerRisk,
+  findOrCreateCustomer,
+  parseCustomerInput,
+  recordRiskOverride,
+} from "../services/customer.service.js";
+import { hasPermission } from "../middlewares/permission.middleware.js";
+import { recordAudit } from "../services/audit.service.js";
+
+/** Sources an inbound webhook caller may tag a lead with */
+const INBOUND_SOURCES = ["website", "whatsapp"];
+
+const endOfToday = () => {
+  const x = new Date();
+  x.setHours(23, 59, 59, 999);
+  return x;
+};
+
+/** Parse an optional date input: undefined → skip, null/"" → clear */
+const parseOptionalDate = (value) => {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === "") return { value: null };
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return { error: "Invalid date" };
+  return { value: d };
+};
+
+/** Check the account exists in the caller's org */
+const findOrgAccount = (accountId, orgId) =>
+  prisma.account.findFirst({
+    where: { id: accountId, organizationId: orgId, active: true },
+    select: { id: true, name: true },
+  });
+
+const leadInclude = {
+  assignedTo: { select: { id: true, name: true } },
+};
+
+/** Load a lead only if it belongs to the caller's org */
+const findOrgLead = (id, orgId) => {
+  const leadId = Number(id);
+  if (!Number.isInteger(leadId)) return null;
+
+  return prisma.lead.findFirst({
+    where: { id: leadId, organizationId: orgId },
+  });
+};
 
 export const createLead = async (req, res) => {
   try {
-    console.log("hii");
-    const { phone, message, source } = req.body;
+    const orgId = req.organizationId;
+    const { phone, message, source, assignedToId, followUpAt } = req.body;
 
     if (!phone) {
       return res.status(400).json({ error: "Phone number is required" });
     }
 
+    const followUp = parseOptionalDate(followUpAt);
+    if (followUp.error) {
+      return res.status(400).json({ error: "Invalid follow-up date" });
+    }
+
+    if (assignedToId && !(await findOrgAccount(assignedToId, orgId))) {
+      return res.status(400).json({ error: "Assignee not found" });
+    }
+
     const lead = await prisma.lead.create({
       data: {
         phone,
         message: message || "",
         source: source || "manual",
         status: "new",
+        followUpAt: followUp.value ?? null,
+        assignedToId: assignedToId || null,
+        organizationId: orgId,
       },
+      include: leadInclude,
+    });
+
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "create",
+      after: lead,
     });
 
     return res.status(201).json(lead);
@@ -25,10 +111,79 @@ export const createLead = async (req, res) => {
   }
 };
 
-/** GET ALL LEADS */
+/**
+ * PUBLIC INBOUND LEAD (no auth)
+ * POST /api/leads/inbound/:orgKey
+ * The org is resolved from its secret lead intake key; source is set here,
+ * never trusted as free text from the caller.
+ */
+export const createInboundLead = async (req, res) => {
+  try {
+    const { orgKey } = req.params;
+    const { phone, message } = req.body;
+
+    const org = await prisma.organization.findUnique({
+      where: { leadIntakeKey: orgKey },
+      select: { id: true },
+    });
+
+    if (!org) return res.status(404).json({ error: "Unknown intake key" });
+
+    if (!phone) {
+      return res.status(400).json({ error: "Phone number is required" });
+    }
+
+    const requested = String(req.query.source || req.body.source || "")
+      .trim()
+      .toLowerCase();
+    const source = INBOUND_SOURCES.includes(requested) ? requested : "webhook";
+
+    const lead = await prisma.lead.create({
+      data: {
+        phone: String(phone),
+        message: message ? String(message) : "",
+        source,
+        status: "new",
+        organizationId: org.id,
+      },
+    });
+
+    // no actor: it came in through the public webhook
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "create",
+      after: lead,
+      organizationId: org.id,
+    });
+
+    return res.status(201).json({ id: lead.id, received: true });
+  } catch (err) {
+    console.error("Inbound lead error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET ALL LEADS (?status=, ?assignedTo=<accountId>|me) */
 export const getLeads = async (req, res) => {
   try {
+    const { status, assignedTo } = req.query;
+
+    if (status && !isLeadStatus(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
     const leads = await prisma.lead.findMany({
+      where: {
+        organizationId: req.organizationId,
+        ...(status ? { status } : {}),
+        ...(assignedTo
+          ? {
+              assignedToId:
+                assignedTo === "me" ? req.account.id : String(assignedTo),
+            }
+          : {}),
+      },
+      include: leadInclude,
       orderBy: { timestamp: "desc" },
     });
 
@@ -39,18 +194,128 @@ export const getLeads = async (req, res) => {
   }
 };
 
+/**
+ * FOLLOW-UPS DUE
+ * GET /api/leads/due → open leads assigned to the caller with a follow-up
+ * due today or already overdue. ?scope=all includes the whole org.
+ */
+export const getDueLeads = async (req, res) => {
+  try {
+    const now = new Date();
+    const mineOnly = req.query.scope !== "all";
+
+    const leads = await prisma.lead.findMany({
+      where: {
+        organizationId: req.organizationId,
+        status: { in: OPEN_LEAD_STATUSES },
+        followUpAt: { lte: endOfToday() },
+        ...(mineOnly ? { assignedToId: req.account.id } : {}),
+      },
+      include: leadInclude,
+      orderBy: { followUpAt: "asc" },
+    });
+
+    return res.json(leads.map((l) => ({ ...l, overdue: l.followUpAt < now })));
+  } catch (err) {
+    console.error("Lead due fetch error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET LEAD WITH HISTORY */
+export const getLeadById = async (req, res) => {
+  try {
+    const lead = await findOrgLead(req.params.id, req.organizationId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    const full = await prisma.lead.findUnique({
+      where: { id: lead.id },
+      include: {
+        ...leadInclude,
+        activities: {
+          include: { account: { select: { id: true, name: true } } },
+          orderBy: { createdAt: "desc" },
+        },
+        booking: {
+          select: {
+            id: true,
+            startDate: true,
+            endDate: true,
+            totalAmount: true,
+            status: true,
+          },
+        },
+      },
+    });
+
+    return res.json({
+      ...full,
+      allowedTransitions: allowedTransitions(full.status),
+    });
+  } catch (err) {
+    console.error("Lead fetch error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
 export const updateLeadStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, lostReason, note } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: "Status is required" });
     }
 
-    const updated = await prisma.lead.update({
-      where: { id: Number(id) },
-      data: { status },
+    if (!isLeadStatus(status)) {
+      return res.status(400).json({
+        error: "Invalid status",
+        allowed: LEAD_STATUSES,
+      });
+    }
+
+    const lead = await findOrgLead(id, req.organizationId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    if (!canTransition(lead.status, status)) {
+      return res.status(400).json({
+        error: `Cannot move lead from ${lead.status} to ${status}`,
+        allowedTransitions: allowedTransitions(lead.status),
+      });
+    }
+
+    if (status === "lost" && !lostReason) {
+      return res.status(400).json({ error: "Lost reason is required" });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.lead.update({
+        where: { id: lead.id },
+        data: {
+          status,
+          lostReason: status === "lost" ? lostReason : null,
+          // closed leads don't need chasing
+          ...(OPEN_LEAD_STATUSES.includes(status) ? {} : { followUpAt: null }),
+        },
+        include: leadInclude,
+      }),
+      prisma.leadActivity.create({
+        data: {
+          leadId: lead.id,
+          accountId: req.account.id,
+          type: "STATUS_CHANGE",
+          fromStatus: lead.status,
+          toStatus: status,
+          note: status === "lost" ? lostReason : note || null,
+        },
+      }),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "status",
+      before: lead,
+      after: updated,
     });
 
     return res.json(updated);
@@ -60,11 +325,426 @@ export const updateLeadStatus = async (req, res) => {
   }
 };
 
+/** ASSIGN LEAD (accountId: null → unassign) */
+export const assignLead = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { accountId } = req.body;
+
+    if (accountId === undefined) {
+      return res.status(400).json({ error: "accountId is required" });
+    }
+
+    const lead = await findOrgLead(req.params.id, orgId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    let assignee = null;
+    if (accountId) {
+      assignee = await findOrgAccount(accountId, orgId);
+      if (!assignee)
+        return res.status(400).json({ error: "Assignee not found" });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.lead.update({
+        where: { id: lead.id },
+        data: { assignedToId: assignee ? assignee.id : null },
+        include: leadInclude,
+      }),
+      prisma.leadActivity.create({
+        data: {
+          leadId: lead.id,
+          accountId: req.account.id,
+          type: "ASSIGNMENT",
+          note: assignee ? `Assigned to ${assignee.name}` : "Unassigned",
+        },
+      }),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "assign",
+      before: lead,
+      after: updated,
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    console.error("Lead assign error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** SET / CLEAR FOLLOW-UP DATE */
+export const setLeadFollowUp = async (req, res) => {
+  try {
+    const { followUpAt, note } = req.body;
+
+    const followUp = parseOptionalDate(followUpAt);
+    if (followUp.error || followUp.value === undefined) {
+      return res
+        .status(400)
+        .json({ error: "followUpAt must be a date or null" });
+    }
+
+    const lead = await findOrgLead(req.params.id, req.organizationId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    if (followUp.value && !OPEN_LEAD_STATUSES.includes(lead.status)) {
+      return res
+        .status(400)
+        .json({ error: "Cannot schedule a follow-up on a closed lead" });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.lead.update({
+        where: { id: lead.id },
+        data: { followUpAt: followUp.value },
+        include: leadInclude,
+      }),
+      prisma.leadActivity.create({
+        data: {
+          leadId: lead.id,
+          accountId: req.account.id,
+          type: "FOLLOW_UP",
+          note:
+            note ||
+            (followUp.value
+              ? `Follow-up set for ${followUp.value.toISOString()}`
+              : "Follow-up cleared"),
+        },
+      }),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "follow_up",
+      before: lead,
+      after: updated,
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    console.error("Lead follow-up error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ADD CALL NOTE */
+export const addLeadNote = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ error: "Note is required" });
+    }
+
+    const lead = await findOrgLead(req.params.id, req.organizationId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    const activity = await prisma.leadActivity.create({
+      data: {
+        leadId: lead.id,
+        accountId: req.account.id,
+        type: "NOTE",
+        note: String(note).trim(),
+      },
+      include: { account: { select: { id: true, name: true } } },
+    });
+
+    await recordAudit(req, {
+      entityType: "LeadActivity",
+      action: "create",
+      after: activity,
+    });
+
+    return res.status(201).json(activity);
+  } catch (err) {
+    console.error("Lead note error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * CONVERT LEAD → BOOKING
+ * POST /api/leads/:id/convert
+ * Runs the same checks as createBooking, then creates the booking, links it
+ * to the lead and marks the lead won in one transaction.
+ */
+export const convertLead = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const {
+      bikeId,
+      startDate: rawStart,
+      endDate: rawEnd,
+      customerName,
+      totalAmount,
+      notes,
+    } = req.body;
+
+    if (!customerName || !bikeId || !rawStart || !rawEnd) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const initial = parseInitialPayment(req.body, req.account.id);
+    if (initial.error) return res.status(400).json({ error: initial.error });
+
+    const deposit = parseDepositInput(req.body);
+    if (deposit.error) return res.status(400).json({ error: deposit.error });
+
+    const lead = await findOrgLead(req.params.id, orgId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+    const linked = await prisma.booking.findUnique({
+      where: { leadId: lead.id },
+      select: { id: true },
+    });
+    if (linked) {
+      return res.status(409).json({
+        error: "Lead already converted",
+        bookingId: linked.id,
+      });
+    }
+
+    if (!canTransition(lead.status, "won")) {
+      return res.status(400).json({
+        error: `Cannot convert a lead that is ${lead.status}`,
+      });
+    }
+
+    // the lead's number identifies the customer
+    const customerInput = parseCustomerInput({
+      ...req.body.customer,
+      name: customerName,
+      phone: lead.phone,
+    });
+    if (customerInput.error) {
+      return res.status(400).json({ error: customerInput.error });
+    }
+
+    const risk = await checkCustomerRisk({
+      orgId,
+      parsed: customerInput,
+      account: req.account,
+      canOverride: await hasPermission(req, "customers.overrideRisk"),
+      body: req.body,
+    });
+    if (risk.error) return res.status(risk.error.status).json(risk.error.body);
+
+    const checked = await validateNewBooking({
+      orgId,
+      bikeId,
+      startDate: rawStart,
+      endDate: rawEnd,
+    });
+    if (checked.error) {
+      return res.status(checked.error.status).json(checked.error.body);
+    }
+
+    const [booking, updatedLead] = await prisma.$transaction(async (tx) => {
+      const customer = await findOrCreateCustomer({
+        client: tx,
+        orgId,
+        data: customerInput.data,
+      });
+
+      const booking = await tx.booking.create({
+        data: {
+          ...buildBookingData({
+            orgId,
+            bike: checked.bike,
+            startDate: checked.startDate,
+            endDate: checked.endDate,
+            quote: checked.quote,
+            customer,
+            customerName,
+            totalAmount,
+            payment: initial.payment,
+            deposit: deposit.deposit,
+            notes: notes ?? lead.message ?? "",
+          }),
+          leadId: lead.id,
+        },
+        include: { bike: true, ...activePaymentsInclude },
+      });
+
+      if (risk.override) {
+        await recordRiskOverride({
+          client: tx,
+          override: risk.override,
+          booking,
+        });
+      }
+
+      const updatedLead = await tx.lead.update({
+        where: { id: lead.id },
+        data: { status: "won", lostReason: null, followUpAt: null },
+        include: leadInclude,
+      });
+
+      await tx.leadActivity.create({
+        data: {
+          leadId: lead.id,
+          accountId: req.account.id,
+          type: "STATUS_CHANGE",
+          fromStatus: lead.status,
+          toStatus: "won",
+          note: `Converted to booking ${booking.id}`,
+        },
+      });
+
+      return [booking, updatedLead];
+    });
+
+    await syncBikeAfterBooking(booking, orgId);
+
+    await recordAudit(req, {
+      entityType: "Booking",
+      action: "create",
+      after: booking,
+    });
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "convert",
+      before: lead,
+      after: updatedLead,
+    });
+
+    return res
+      .status(201)
+      .json({ lead: updatedLead, booking: withBalance(booking) });
+  } catch (err) {
+    console.error("Lead convert error:", err);
+
+    // unique leadId — a parallel request converted it first
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "Lead already converted" });
+    }
+
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * LEAD REPORT
+ * GET /api/leads/report?from=&to= → funnel counts, conversions and the
+ * booking value generated from converted leads, by source. Amounts are
+ * left out for accounts without reports.revenue.
+ */
+export const getLeadReport = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const from = parseOptionalDate(req.query.from);
+    const to = parseOptionalDate(req.query.to);
+
+    if (from.error || to.error) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+
+    const timestamp =
+      from.value || to.value
+        ? {
+            ...(from.value ? { gte: from.value } : {}),
+            ...(to.value ? { lte: to.value } : {}),
+          }
+        : undefined;
+
+    const where = { organizationId: orgId, ...(timestamp && { timestamp }) };
+
+    const byStatus = await prisma.lead.groupBy({
+      by: ["status"],
+      where,
+      _count: { _all: true },
+    });
+
+    const bySource = await prisma.lead.groupBy({
+      by: ["source"],
+      where,
+      _count: { _all: true },
+    });
+
+    const convertedBookings = await prisma.booking.findMany({
+      where: {
+        organizationId: orgId,
+        lead: where,
+      },
+      select: {
+        totalAmount: true,
+        lead: { select: { source: true } },
+        ...activePaymentsInclude,
+      },
+    });
+
+    const statusCounts = Object.fromEntries(LEAD_STATUSES.map((s) => [s, 0]));
+    for (const row of byStatus) statusCounts[row.status] = row._count._all;
+
+    const total = Object.values(statusCounts).reduce((a, b) => a + b, 0);
+
+    const sources = {};
+    for (const row of bySource) {
+      sources[row.source] = {
+        leads: row._count._all,
+        converted: 0,
+        bookedAmount: 0,
+        paidAmount: 0,
+      };
+    }
+    for (const b of convertedBookings) {
+      const src = sources[b.lead.source];
+      if (!src) continue;
+      src.converted += 1;
+      src.bookedAmount += b.totalAmount;
+      src.paidAmount += sumPayments(b.payments);
+    }
+
+    const bookedAmount = convertedBookings.reduce(
+      (sum, b) => sum + b.totalAmount,
+      0
+    );
+    const paidAmount = convertedBookings.reduce(
+      (sum, b) => sum + sumPayments(b.payments),
+      0
+    );
+
+    const showRevenue = await hasPermission(req, "reports.revenue");
+    if (!showRevenue) {
+      for (const src of Object.values(sources)) {
+        delete src.bookedAmount;
+        delete src.paidAmount;
+      }
+    }
+
+    return res.json({
+      total,
+      byStatus: statusCounts,
+      converted: convertedBookings.length,
+      conversionRate: total ? convertedBookings.length / total : 0,
+      ...(showRevenue && {
+        revenue: { booked: bookedAmount, paid: paidAmount },
+      }),
+      bySource: sources,
+    });
+  } catch (err) {
+    console.error("Lead report error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
 /** DELETE LEAD */
 export const deleteLead = async (req, res) => {
   try {
+    const lead = await findOrgLead(req.params.id, req.organizationId);
+    if (!lead) return res.status(404).json({ error: "Lead not found" });
+
     await prisma.lead.delete({
-      where: { id: Number(req.params.id) },
+      where: { id: lead.id },
+    });
+
+    await recordAudit(req, {
+      entityType: "Lead",
+      action: "delete",
+      before: lead,
     });
 
     return res.json({ message: "Lead deleted" });
@@ -73,3 +753,49 @@ export const deleteLead = async (req, res) => {
     res.status(500).json({ error: "Server error" });
   }
 };
+
+/** GET INTAKE KEY (for configuring the website form / WhatsApp bot) */
+export const getLeadIntakeKey = async (req, res) => {
+  try {
+    const org = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: { leadIntakeKey: true },
+    });
+
+    if (!org) return res.status(404).json({ error: "Organization not found" });
+
+    return res.json({
+      leadIntakeKey: org.leadIntakeKey,
+      endpoint: `/api/leads/inbound/${org.leadIntakeKey}`,
+    });
+  } catch (err) {
+    console.error("Lead intake key error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ROTATE INTAKE KEY (leads.intakeKey) — the old key stops working immediately */
+export const rotateLeadIntakeKey = async (req, res) => {
+  try {
+    const org = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: { leadIntakeKey: crypto.randomUUID() },
+      select: { leadIntakeKey: true },
+    });
+
+    // the key itself is a secret; only the fact it changed is logged
+    await recordAudit(req, {
+      entityType: "Organization",
+      entityId: req.organizationId,
+      action: "rotate_intake_key",
+    });
+
+    return res.json({
+      leadIntakeKey: org.leadIntakeKey,
+      endpoint: `/api/leads/inbound/${org.leadIntakeKey}`,
+    });
+  } catch (err) {
+    console.error("Lead intake key rotate error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,219 @@
+// src/controllers/maintenance.controller.js
+import prisma from "../config/prisma.js";
+import { MS_PER_DAY } from "../utils/dates.js";
+import {
+  autoFixBikeStatus,
+  findOverlappingBooking,
+} from "../services/booking.service.js";
+import {
+  findOverlappingWindow,
+  parseWindowInput,
+} from "../services/maintenance.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const findOrgBike = (id, orgId) =>
+  prisma.bike.findFirst({ where: { id, organizationId: orgId } });
+
+const findBikeWindow = (id, bikeId, orgId) =>
+  prisma.maintenanceWindow.findFirst({
+    where: { id, bikeId, organizationId: orgId },
+  });
+
+/**
+ * A window must end after it starts and can't overlap another window or an
+ * open booking on the bike. Returns { status, body } describing the problem,
+ * or null.
+ */
+const checkWindow = async ({
+  orgId,
+  bikeId,
+  startDate,
+  endDate,
+  excludeId,
+}) => {
+  if (endDate && endDate <= startDate) {
+    return {
+      status: 400,
+      body: { error: "End date must be after start date" },
+    };
+  }
+
+  // open-ended windows are checked a year ahead
+  const until = endDate ?? new Date(startDate.getTime() + 365 * MS_PER_DAY);
+
+  const clash = await findOverlappingWindow({
+    orgId,
+    bikeId,
+    startDate,
+    endDate: until,
+    excludeId,
+  });
+  if (clash) {
+    return {
+      status: 409,
+      body: {
+        error: "Another maintenance window overlaps this period",
+        maintenanceWindow: clash,
+      },
+    };
+  }
+
+  const booking = await findOverlappingBooking({
+    orgId,
+    bikeId,
+    startDate,
+    endDate: until,
+  });
+  if (booking) {
+    return {
+      status: 409,
+      body: {
+        error: "Bike is booked during this period",
+        blockingBooking: {
+          id: booking.id,
+          customerName: booking.customerName,
+          startDate: booking.startDate,
+          endDate: booking.endDate,
+        },
+      },
+    };
+  }
+
+  return null;
+};
+
+/** GET MAINTENANCE WINDOWS FOR A BIKE */
+export const getMaintenanceWindows = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    const windows = await prisma.maintenanceWindow.findMany({
+      where: { bikeId: bike.id, organizationId: orgId },
+      orderBy: { startDate: "desc" },
+    });
+
+    res.json(windows);
+  } catch (err) {
+    console.error("Error loading maintenance windows:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** SCHEDULE MAINTENANCE */
+export const createMaintenanceWindow = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    const input = parseWindowInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const problem = await checkWindow({
+      orgId,
+      bikeId: bike.id,
+      startDate: input.data.startDate,
+      endDate: input.data.endDate,
+    });
+    if (problem) return res.status(problem.status).json(problem.body);
+
+    const maintenance = await prisma.maintenanceWindow.create({
+      data: { ...input.data, bikeId: bike.id, organizationId: orgId },
+    });
+
+    // a window starting now takes the bike off the road straight away
+    await autoFixBikeStatus(bike.id, orgId);
+
+    await recordAudit(req, {
+      entityType: "MaintenanceWindow",
+      action: "create",
+      after: maintenance,
+    });
+
+    res.status(201).json(maintenance);
+  } catch (err) {
+    console.error("Error creating maintenance window:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UPDATE MAINTENANCE WINDOW (reschedule, close early, record cost) */
+export const updateMaintenanceWindow = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { id: bikeId, windowId } = req.params;
+
+    const existing = await findBikeWindow(windowId, bikeId, orgId);
+    if (!existing) {
+      return res.status(404).json({ error: "Maintenance window not found" });
+    }
+
+    const input = parseWindowInput(req.body, { partial: true });
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const startDate = input.data.startDate ?? existing.startDate;
+    const endDate =
+      input.data.endDate !== undefined ? input.data.endDate : existing.endDate;
+
+    if (input.data.startDate || input.data.endDate) {
+      const problem = await checkWindow({
+        orgId,
+        bikeId,
+        startDate,
+        endDate,
+        excludeId: existing.id,
+      });
+      if (problem) return res.status(problem.status).json(problem.body);
+    }
+
+    const maintenance = await prisma.maintenanceWindow.update({
+      where: { id: existing.id },
+      data: input.data,
+    });
+
+    await autoFixBikeStatus(bikeId, orgId);
+
+    await recordAudit(req, {
+      entityType: "MaintenanceWindow",
+      action: "update",
+      before: existing,
+      after: maintenance,
+    });
+
+    res.json(maintenance);
+  } catch (err) {
+    console.error("Error updating maintenance window:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** CANCEL MAINTENANCE WINDOW */
+export const deleteMaintenanceWindow = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { id: bikeId, windowId } = req.params;
+
+    const existing = await findBikeWindow(windowId, bikeId, orgId);
+    if (!existing) {
+      return res.status(404).json({ error: "Maintenance window not found" });
+    }
+
+    await prisma.maintenanceWindow.delete({ where: { id: existing.id } });
+    await autoFixBikeStatus(bikeId, orgId);
+
+    await recordAudit(req, {
+      entityType: "MaintenanceWindow",
+      action: "delete",
+      before: existing,
+    });
+
+    res.json({ message: "Maintenance window deleted" });
+  } catch (err) {
+    console.error("Error deleting maintenance window:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
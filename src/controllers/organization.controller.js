@@ -0,0 +1,111 @@
+// src/controllers/organization.controller.js
+import prisma from "../config/prisma.js";
+import { recordAudit } from "../services/audit.service.js";
+
+/**
+ * Org-level settings admins can tune. Each entry validates and converts
+ * the incoming value, returning undefined when it's not acceptable.
+ */
+const minutesInDay = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 24 * 60 ? n : undefined;
+};
+
+// null clears the rate
+const optionalRate = (v) => {
+  if (v === null) return null;
+  const n = Number(v);
+  return !isNaN(n) && n > 0 ? n : undefined;
+};
+
+// null clears the interval
+const optionalCount = (v) => {
+  if (v === null) return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+};
+
+const flag = (v) => (typeof v === "boolean" ? v : undefined);
+
+const SETTINGS = {
+  bookingBufferMinutes: minutesInDay,
+  lateGraceMinutes: minutesInDay,
+  lateFeeHourlyRate: optionalRate,
+  lateFeeDailyRate: optionalRate,
+  serviceIntervalKm: optionalCount,
+  serviceIntervalDays: optionalCount,
+  requireAdmin2fa: flag,
+};
+
+const settingsSelect = Object.fromEntries(
+  Object.keys(SETTINGS).map((k) => [k, true])
+);
+
+/** GET ORG SETTINGS */
+export const getSettings = async (req, res) => {
+  try {
+    const org = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: { id: true, name: true, ...settingsSelect },
+    });
+
+    if (!org) return res.status(404).json({ error: "Organization not found" });
+
+    res.json(org);
+  } catch (err) {
+    console.error("Error loading settings:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UPDATE ORG SETTINGS (settings.manage) */
+export const updateSettings = async (req, res) => {
+  try {
+    const data = {};
+    for (const [key, parse] of Object.entries(SETTINGS)) {
+      if (req.body[key] === undefined) continue;
+      const value = parse(req.body[key]);
+      if (value === undefined) {
+        return res.status(400).json({ error: `Invalid value for ${key}` });
+      }
+      data[key] = value;
+    }
+
+    // don't let an admin require what they haven't set up themselves
+    if (data.requireAdmin2fa && !req.account.totpEnabledAt) {
+      return res
+        .status(400)
+        .json({ error: "Enable 2FA on your own account first" });
+    }
+
+    if (req.body.name !== undefined) {
+      if (!String(req.body.name).trim()) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      data.name = String(req.body.name).trim();
+    }
+
+    const before = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: { id: true, name: true, ...settingsSelect },
+    });
+
+    const org = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data,
+      select: { id: true, name: true, ...settingsSelect },
+    });
+
+    await recordAudit(req, {
+      entityType: "Organization",
+      action: "update",
+      before,
+      after: org,
+    });
+
+    res.json(org);
+  } catch (err) {
+    console.error("Error updating settings:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,152 @@
+// src/controllers/payments.controller.js
+import prisma from "../config/prisma.js";
+import {
+  parsePaymentInput,
+  sumPayments,
+  roundMoney,
+} from "../services/payment.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const paymentInclude = {
+  collectedBy: { select: { id: true, name: true } },
+  voidedBy: { select: { id: true, name: true } },
+};
+
+/** Load a booking in the caller's org together with its full ledger */
+const findOrgBooking = (id, orgId) =>
+  prisma.booking.findFirst({
+    where: { id, organizationId: orgId },
+    include: {
+      payments: { include: paymentInclude, orderBy: { paidAt: "asc" } },
+    },
+  });
+
+const ledgerSummary = (booking, payments) => {
+  const paidAmount = sumPayments(payments);
+  return {
+    bookingId: booking.id,
+    totalAmount: booking.totalAmount,
+    paidAmount,
+    balanceDue: roundMoney(booking.totalAmount - paidAmount),
+  };
+};
+
+/** LIST PAYMENTS FOR A BOOKING (voided entries included, flagged) */
+export const getPayments = async (req, res) => {
+  try {
+    const booking = await findOrgBooking(req.params.id, req.organizationId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    res.json({
+      ...ledgerSummary(booking, booking.payments),
+      payments: booking.payments,
+    });
+  } catch (err) {
+    console.error("Error loading payments:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ADD PAYMENT */
+export const addPayment = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { reference, notes, paidAt } = req.body;
+
+    const parsed = parsePaymentInput(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const paidAtDate = paidAt ? new Date(paidAt) : new Date();
+    if (isNaN(paidAtDate.getTime()) || paidAtDate > new Date()) {
+      return res.status(400).json({ error: "Invalid payment date" });
+    }
+
+    const booking = await findOrgBooking(req.params.id, orgId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const balanceDue = roundMoney(
+      booking.totalAmount - sumPayments(booking.payments)
+    );
+    if (parsed.amount > balanceDue) {
+      return res.status(400).json({
+        error: "Amount exceeds balance due",
+        balanceDue,
+      });
+    }
+
+    const payment = await prisma.payment.create({
+      data: {
+        amount: parsed.amount,
+        method: parsed.method,
+        reference: reference || null,
+        notes: notes || null,
+        paidAt: paidAtDate,
+        collectedById: req.account.id,
+        bookingId: booking.id,
+        organizationId: orgId,
+      },
+      include: paymentInclude,
+    });
+
+    await recordAudit(req, {
+      entityType: "Payment",
+      action: "create",
+      after: payment,
+    });
+
+    res.status(201).json({
+      payment,
+      ...ledgerSummary(booking, [...booking.payments, payment]),
+    });
+  } catch (err) {
+    console.error("Error adding payment:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** VOID PAYMENT — keeps the row, excludes it from every total */
+export const voidPayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: "Void reason is required" });
+    }
+
+    const booking = await findOrgBooking(req.params.id, req.organizationId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const payment = booking.payments.find((p) => p.id === req.params.paymentId);
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+    if (payment.voidedAt) {
+      return res.status(400).json({ error: "Payment already voided" });
+    }
+
+    const voided = await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        voidedAt: new Date(),
+        voidReason: reason,
+        voidedById: req.account.id,
+      },
+      include: paymentInclude,
+    });
+
+    await recordAudit(req, {
+      entityType: "Payment",
+      action: "void",
+      before: payment,
+      after: voided,
+    });
+
+    const payments = booking.payments.map((p) =>
+      p.id === voided.id ? voided : p
+    );
+
+    res.json({ payment: voided, ...ledgerSummary(booking, payments) });
+  } catch (err) {
+    console.error("Error voiding payment:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,353 @@
+// src/controllers/rateCards.controller.js
+import prisma from "../config/prisma.js";
+import { startOfDay, endOfDay } from "../utils/dates.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const RATE_FIELDS = ["hourlyRate", "dailyRate", "weeklyRate", "monthlyRate"];
+const PCT_FIELDS = ["weekendSurchargePct", "holidaySurchargePct"];
+
+/**
+ * Pick and validate the numeric pricing fields present in `body`.
+ * Rates must be positive (null clears an optional tier); surcharges are
+ * percentages ≥ 0. Returns { data } or { error }.
+ */
+const parsePricingFields = (body, { requireDaily = false } = {}) => {
+  const data = {};
+
+  for (const key of RATE_FIELDS) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null && key !== "dailyRate") {
+      data[key] = null;
+      continue;
+    }
+    const value = Number(body[key]);
+    if (isNaN(value) || value <= 0) {
+      return { error: `${key} must be a positive number` };
+    }
+    data[key] = value;
+  }
+
+  for (const key of PCT_FIELDS) {
+    if (body[key] === undefined) continue;
+    const value = Number(body[key]);
+    if (isNaN(value) || value < 0) {
+      return { error: `${key} must be zero or more` };
+    }
+    data[key] = value;
+  }
+
+  if (requireDaily && data.dailyRate === undefined) {
+    return { error: "dailyRate is required" };
+  }
+
+  return { data };
+};
+
+/** Validate the bike/category target of a card */
+const parseTarget = async (body, orgId) => {
+  const { bikeId, category } = body;
+
+  if (bikeId && category) {
+    return { error: "A rate card targets a bike or a category, not both" };
+  }
+
+  if (bikeId) {
+    const bike = await prisma.bike.findFirst({
+      where: { id: bikeId, organizationId: orgId },
+    });
+    if (!bike) return { error: "Bike not found" };
+  }
+
+  return { data: { bikeId: bikeId || null, category: category || null } };
+};
+
+const findOrgCard = (id, orgId) =>
+  prisma.rateCard.findFirst({ where: { id, organizationId: orgId } });
+
+/** GET ALL RATE CARDS */
+export const getRateCards = async (req, res) => {
+  try {
+    const cards = await prisma.rateCard.findMany({
+      where: { organizationId: req.organizationId },
+      include: {
+        seasons: { orderBy: { startDate: "asc" } },
+        bike: { select: { id: true, name: true, registrationNumber: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(cards);
+  } catch (err) {
+    console.error("Error loading rate cards:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** CREATE RATE CARD */
+export const createRateCard = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { name, active } = req.body;
+
+    if (!name) return res.status(400).json({ error: "Name is required" });
+
+    const pricing = parsePricingFields(req.body, { requireDaily: true });
+    if (pricing.error) return res.status(400).json({ error: pricing.error });
+
+    const target = await parseTarget(req.body, orgId);
+    if (target.error) return res.status(400).json({ error: target.error });
+
+    const card = await prisma.rateCard.create({
+      data: {
+        name,
+        ...pricing.data,
+        ...target.data,
+        active: active !== undefined ? Boolean(active) : true,
+        organizationId: orgId,
+      },
+      include: { seasons: true },
+    });
+
+    await recordAudit(req, {
+      entityType: "RateCard",
+      action: "create",
+      after: card,
+    });
+
+    res.status(201).json(card);
+  } catch (err) {
+    console.error("Error creating rate card:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UPDATE RATE CARD */
+export const updateRateCard = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { name, active } = req.body;
+
+    const card = await findOrgCard(req.params.id, orgId);
+    if (!card) return res.status(404).json({ error: "Rate card not found" });
+
+    const pricing = parsePricingFields(req.body);
+    if (pricing.error) return res.status(400).json({ error: pricing.error });
+
+    let target = { data: {} };
+    if (req.body.bikeId !== undefined || req.body.category !== undefined) {
+      target = await parseTarget(req.body, orgId);
+      if (target.error) return res.status(400).json({ error: target.error });
+    }
+
+    const updated = await prisma.rateCard.update({
+      where: { id: card.id },
+      data: {
+        ...(name && { name }),
+        ...pricing.data,
+        ...target.data,
+        ...(active !== undefined && { active: Boolean(active) }),
+      },
+      include: { seasons: true },
+    });
+
+    await recordAudit(req, {
+      entityType: "RateCard",
+      action: "update",
+      before: card,
+      after: updated,
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error updating rate card:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** DELETE RATE CARD */
+export const deleteRateCard = async (req, res) => {
+  try {
+    const card = await findOrgCard(req.params.id, req.organizationId);
+    if (!card) return res.status(404).json({ error: "Rate card not found" });
+
+    await prisma.rateCard.delete({ where: { id: card.id } });
+
+    await recordAudit(req, {
+      entityType: "RateCard",
+      action: "delete",
+      before: card,
+    });
+
+    res.json({ message: "Rate card deleted" });
+  } catch (err) {
+    console.error("Error deleting rate card:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ADD SEASON — rates left out inherit from the card */
+export const addSeason = async (req, res) => {
+  try {
+    const { name, startDate: rawStart, endDate: rawEnd } = req.body;
+
+    if (!name || !rawStart || !rawEnd) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const startDate = startOfDay(new Date(rawStart));
+    const endDate = endOfDay(new Date(rawEnd));
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Invalid dates" });
+    }
+    if (endDate < startDate) {
+      return res
+        .status(400)
+        .json({ error: "End date must be after start date" });
+    }
+
+    const pricing = parsePricingFields(req.body);
+    if (pricing.error) return res.status(400).json({ error: pricing.error });
+
+    const card = await findOrgCard(req.params.id, req.organizationId);
+    if (!card) return res.status(404).json({ error: "Rate card not found" });
+
+    const clash = await prisma.rateCardSeason.findFirst({
+      where: {
+        rateCardId: card.id,
+        AND: [{ startDate: { lte: endDate } }, { endDate: { gte: startDate } }],
+      },
+    });
+    if (clash) {
+      return res.status(400).json({
+        error: "Season overlaps an existing season on this card",
+        season: clash,
+      });
+    }
+
+    const season = await prisma.rateCardSeason.create({
+      data: {
+        name,
+        startDate,
+        endDate,
+        hourlyRate: pricing.data.hourlyRate ?? null,
+        dailyRate: pricing.data.dailyRate ?? null,
+        weeklyRate: pricing.data.weeklyRate ?? null,
+        monthlyRate: pricing.data.monthlyRate ?? null,
+        rateCardId: card.id,
+      },
+    });
+
+    await recordAudit(req, {
+      entityType: "RateCardSeason",
+      action: "create",
+      after: season,
+    });
+
+    res.status(201).json(season);
+  } catch (err) {
+    console.error("Error adding season:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** DELETE SEASON */
+export const deleteSeason = async (req, res) => {
+  try {
+    const card = await findOrgCard(req.params.id, req.organizationId);
+    if (!card) return res.status(404).json({ error: "Rate card not found" });
+
+    const season = await prisma.rateCardSeason.findFirst({
+      where: { id: req.params.seasonId, rateCardId: card.id },
+    });
+    if (!season) return res.status(404).json({ error: "Season not found" });
+
+    await prisma.rateCardSeason.delete({ where: { id: season.id } });
+
+    await recordAudit(req, {
+      entityType: "RateCardSeason",
+      action: "delete",
+      before: season,
+    });
+
+    res.json({ message: "Season deleted" });
+  } catch (err) {
+    console.error("Error deleting season:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET HOLIDAYS */
+export const getHolidays = async (req, res) => {
+  try {
+    const holidays = await prisma.holiday.findMany({
+      where: { organizationId: req.organizationId },
+      orderBy: { date: "asc" },
+    });
+
+    res.json(holidays);
+  } catch (err) {
+    console.error("Error loading holidays:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ADD HOLIDAY */
+export const createHoliday = async (req, res) => {
+  try {
+    const { name, date } = req.body;
+
+    if (!name || !date) {
+      return res.status(400).json({ error: "Name and date are required" });
+    }
+
+    const day = startOfDay(new Date(date));
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+
+    const holiday = await prisma.holiday.create({
+      data: { name, date: day, organizationId: req.organizationId },
+    });
+
+    await recordAudit(req, {
+      entityType: "Holiday",
+      action: "create",
+      after: holiday,
+    });
+
+    res.status(201).json(holiday);
+  } catch (err) {
+    console.error("Error creating holiday:", err);
+
+    if (err.code === "P2002") {
+      return res
+        .status(409)
+        .json({ error: "A holiday already exists on that date" });
+    }
+
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** DELETE HOLIDAY */
+export const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await prisma.holiday.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!holiday) return res.status(404).json({ error: "Holiday not found" });
+
+    await prisma.holiday.delete({ where: { id: holiday.id } });
+
+    await recordAudit(req, {
+      entityType: "Holiday",
+      action: "delete",
+      before: holiday,
+    });
+
+    res.json({ message: "Holiday deleted" });
+  } catch (err) {
+    console.error("Error deleting holiday:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,245 @@
+// src/controllers/roles.controller.js
+import prisma from "../config/prisma.js";
+import {
+  ADMIN_ONLY_PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  DEFAULT_STAFF_PERMISSIONS,
+  PERMISSIONS,
+} from "../utils/permissions.js";
+import { parsePermissions } from "../services/permission.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const roleSelect = {
+  id: true,
+  name: true,
+  description: true,
+  permissions: true,
+  updatedAt: true,
+  _count: { select: { accounts: true } },
+};
+
+const roleSummary = ({ _count, ...role }) => ({
+  ...role,
+  builtIn: false,
+  accounts: _count.accounts,
+});
+
+/**
+ * The org's permission matrix: ADMIN (fixed), STAFF (org's row or the
+ * defaults) and any custom roles.
+ */
+const loadMatrix = async (orgId) => {
+  const rows = await prisma.orgRole.findMany({
+    where: { organizationId: orgId },
+    select: roleSelect,
+    orderBy: { name: "asc" },
+  });
+  const staffRow = rows.find((r) => r.name === "STAFF");
+
+  return [
+    {
+      name: "ADMIN",
+      builtIn: true,
+      editable: false,
+      permissions: ALL_PERMISSIONS,
+    },
+    {
+      name: "STAFF",
+      builtIn: true,
+      editable: true,
+      customized: !!staffRow,
+      permissions: staffRow ? staffRow.permissions : DEFAULT_STAFF_PERMISSIONS,
+    },
+    ...rows
+      .filter((r) => r.name !== "STAFF")
+      .map((r) => ({ ...roleSummary(r), editable: true })),
+  ];
+};
+
+/** GET ROLES — the permission list and every role's grants */
+export const getRoles = async (req, res) => {
+  try {
+    res.json({
+      permissions: PERMISSIONS,
+      adminOnly: ADMIN_ONLY_PERMISSIONS,
+      roles: await loadMatrix(req.organizationId),
+    });
+  } catch (err) {
+    console.error("Error loading roles:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET MY PERMISSIONS — what the caller's account may do */
+export const getMyPermissions = async (req, res) => {
+  try {
+    res.json({
+      role: req.account.role,
+      customRoleId: req.account.customRoleId,
+      permissions: [...req.permissions],
+    });
+  } catch (err) {
+    console.error("Error loading permissions:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** CREATE CUSTOM ROLE */
+export const createRole = async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ error: "Name is required" });
+    if (BUILT_IN_ROLES.includes(name.toUpperCase())) {
+      return res.status(400).json({ error: `${name} is a built-in role` });
+    }
+
+    const parsed = parsePermissions(req.body.permissions ?? []);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const role = await prisma.orgRole.create({
+      data: {
+        name,
+        description: req.body.description || null,
+        permissions: parsed.permissions,
+        organizationId: req.organizationId,
+      },
+      select: roleSelect,
+    });
+
+    await recordAudit(req, {
+      entityType: "OrgRole",
+      action: "create",
+      after: role,
+    });
+
+    res.status(201).json(roleSummary(role));
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "A role with this name exists" });
+    }
+    console.error("Error creating role:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * UPDATE ROLE
+ * PUT /api/organization/roles/:name → STAFF (creates the org's override on
+ * first edit) or a custom role. ADMIN can't be changed.
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { name } = req.params;
+
+    if (name === "ADMIN") {
+      return res.status(400).json({ error: "ADMIN permissions are fixed" });
+    }
+
+    const data = {};
+    if (req.body.permissions !== undefined) {
+      const parsed = parsePermissions(req.body.permissions);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      data.permissions = parsed.permissions;
+    }
+    if (req.body.description !== undefined) {
+      data.description = req.body.description || null;
+    }
+
+    if (name === "STAFF") {
+      const before = await prisma.orgRole.findUnique({
+        where: { organizationId_name: { organizationId: orgId, name } },
+      });
+      const role = await prisma.orgRole.upsert({
+        where: { organizationId_name: { organizationId: orgId, name } },
+        update: data,
+        create: {
+          permissions: DEFAULT_STAFF_PERMISSIONS,
+          ...data,
+          name,
+          organizationId: orgId,
+        },
+        select: roleSelect,
+      });
+      await recordAudit(req, {
+        entityType: "OrgRole",
+        action: "update",
+        before: before ?? { permissions: DEFAULT_STAFF_PERMISSIONS },
+        after: role,
+      });
+      return res.json({ ...roleSummary(role), builtIn: true });
+    }
+
+    const existing = await prisma.orgRole.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name } },
+    });
+    if (!existing) return res.status(404).json({ error: "Role not found" });
+
+    const role = await prisma.orgRole.update({
+      where: { id: existing.id },
+      data,
+      select: roleSelect,
+    });
+
+    await recordAudit(req, {
+      entityType: "OrgRole",
+      action: "update",
+      before: existing,
+      after: role,
+    });
+
+    res.json(roleSummary(role));
+  } catch (err) {
+    console.error("Error updating role:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * DELETE ROLE
+ * Custom roles only, once no account uses them. Deleting the STAFF row
+ * resets STAFF to the defaults.
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { name } = req.params;
+
+    if (name === "ADMIN") {
+      return res.status(400).json({ error: "ADMIN can't be removed" });
+    }
+
+    const role = await prisma.orgRole.findUnique({
+      where: { organizationId_name: { organizationId: orgId, name } },
+      select: roleSelect,
+    });
+    if (!role) {
+      return name === "STAFF"
+        ? res.json({ message: "STAFF already uses the defaults" })
+        : res.status(404).json({ error: "Role not found" });
+    }
+
+    if (role._count.accounts > 0) {
+      return res.status(409).json({
+        error: "Role is assigned to accounts; reassign them first",
+        accounts: role._count.accounts,
+      });
+    }
+
+    await prisma.orgRole.delete({ where: { id: role.id } });
+
+    await recordAudit(req, {
+      entityType: "OrgRole",
+      action: "delete",
+      before: role,
+    });
+
+    res.json({
+      message: name === "STAFF" ? "STAFF reset to defaults" : "Role deleted",
+    });
+  } catch (err) {
+    console.error("Error deleting role:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
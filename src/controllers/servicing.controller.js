@@ -0,0 +1,284 @@
+// src/controllers/servicing.controller.js
+import prisma from "../config/prisma.js";
+import { parseBookingTime } from "../utils/dates.js";
+import {
+  DUE_SOON_DAYS,
+  DUE_SOON_KM,
+  loadServiceStatuses,
+  odometerRollbackError,
+  parseOdometer,
+  parseParts,
+  recordOdometer,
+} from "../services/servicing.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const findOrgBike = (id, orgId) =>
+  prisma.bike.findFirst({ where: { id, organizationId: orgId } });
+
+const nonNegative = (raw, fallback) => {
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return !isNaN(n) && n >= 0 ? n : undefined;
+};
+
+/**
+ * SERVICE DUE
+ * GET /api/bikes/service-due?withinKm=&withinDays=
+ * Bikes past their service interval (OVERDUE) or inside the horizon (DUE),
+ * most urgent first.
+ */
+export const getServiceDue = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const withinKm = nonNegative(req.query.withinKm, DUE_SOON_KM);
+    const withinDays = nonNegative(req.query.withinDays, DUE_SOON_DAYS);
+    if (withinKm === undefined || withinDays === undefined) {
+      return res
+        .status(400)
+        .json({ error: "withinKm and withinDays must be zero or more" });
+    }
+
+    const bikes = await prisma.bike.findMany({
+      where: { organizationId: orgId },
+      select: {
+        id: true,
+        name: true,
+        model: true,
+        registrationNumber: true,
+        status: true,
+        odometerKm: true,
+        serviceIntervalKm: true,
+        serviceIntervalDays: true,
+        createdAt: true,
+      },
+    });
+
+    const statuses = await loadServiceStatuses({
+      orgId,
+      bikes,
+      withinKm,
+      withinDays,
+    });
+
+    // most overdue first: whichever limit is closest (or furthest past)
+    const urgency = (s) =>
+      Math.min(
+        s.kmRemaining !== null && s.intervalKm
+          ? s.kmRemaining / s.intervalKm
+          : Infinity,
+        s.daysRemaining !== null && s.intervalDays
+          ? s.daysRemaining / s.intervalDays
+          : Infinity
+      );
+
+    const due = bikes
+      .map((bike) => {
+        const { odometerKm, serviceIntervalKm, serviceIntervalDays, ...rest } =
+          bike;
+        return { bike: rest, service: statuses.get(bike.id) };
+      })
+      .filter((row) => ["DUE", "OVERDUE"].includes(row.service.status))
+      .sort((a, b) => urgency(a.service) - urgency(b.service));
+
+    res.json({
+      withinKm,
+      withinDays,
+      overdue: due.filter((r) => r.service.status === "OVERDUE").length,
+      due: due.filter((r) => r.service.status === "DUE").length,
+      bikes: due,
+    });
+  } catch (err) {
+    console.error("Error loading service due list:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET SERVICE LOG FOR A BIKE */
+export const getServiceRecords = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    const records = await prisma.serviceRecord.findMany({
+      where: { bikeId: bike.id, organizationId: orgId },
+      include: { createdBy: { select: { id: true, name: true } } },
+      orderBy: [{ date: "desc" }, { createdAt: "desc" }],
+    });
+
+    const [service] = (
+      await loadServiceStatuses({ orgId, bikes: [bike] })
+    ).values();
+
+    res.json({ service, records });
+  } catch (err) {
+    console.error("Error loading service records:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** LOG A SERVICE */
+export const createServiceRecord = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { date: rawDate, workDone, workshop } = req.body;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    if (!workDone || !String(workDone).trim()) {
+      return res.status(400).json({ error: "workDone is required" });
+    }
+
+    const date = rawDate ? parseBookingTime(rawDate, "start") : new Date();
+    if (isNaN(date.getTime()) || date > new Date()) {
+      return res.status(400).json({ error: "Invalid service date" });
+    }
+
+    const odometer = parseOdometer(req.body.odometerKm);
+    if (odometer.error) return res.status(400).json({ error: odometer.error });
+
+    const parts = parseParts(req.body.parts);
+    if (parts.error) return res.status(400).json({ error: parts.error });
+
+    let cost = null;
+    if (req.body.cost !== undefined && req.body.cost !== null) {
+      cost = Number(req.body.cost);
+      if (isNaN(cost) || cost < 0) {
+        return res.status(400).json({ error: "cost must be zero or more" });
+      }
+    }
+
+    const record = await prisma.$transaction(async (tx) => {
+      const created = await tx.serviceRecord.create({
+        data: {
+          date,
+          odometerKm: odometer.km ?? null,
+          workDone: String(workDone).trim(),
+          parts: parts.parts,
+          cost,
+          workshop: workshop || null,
+          bikeId: bike.id,
+          createdById: req.account.id,
+          organizationId: orgId,
+        },
+      });
+
+      // back-dated entries with an older reading don't touch the odometer
+      if (
+        odometer.km !== undefined &&
+        !odometerRollbackError(bike, odometer.km)
+      ) {
+        await recordOdometer({
+          client: tx,
+          bike,
+          km: odometer.km,
+          source: "SERVICE",
+          accountId: req.account.id,
+          recordedAt: date,
+        });
+      }
+
+      return created;
+    });
+
+    await recordAudit(req, {
+      entityType: "ServiceRecord",
+      action: "create",
+      after: record,
+    });
+
+    res.status(201).json(record);
+  } catch (err) {
+    console.error("Error creating service record:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** DELETE SERVICE RECORD */
+export const deleteServiceRecord = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const { id: bikeId, recordId } = req.params;
+
+    const record = await prisma.serviceRecord.findFirst({
+      where: { id: recordId, bikeId, organizationId: orgId },
+    });
+    if (!record) {
+      return res.status(404).json({ error: "Service record not found" });
+    }
+
+    await prisma.serviceRecord.delete({ where: { id: record.id } });
+
+    await recordAudit(req, {
+      entityType: "ServiceRecord",
+      action: "delete",
+      before: record,
+    });
+
+    res.json({ message: "Service record deleted" });
+  } catch (err) {
+    console.error("Error deleting service record:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** GET ODOMETER HISTORY FOR A BIKE */
+export const getOdometerReadings = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    const readings = await prisma.odometerReading.findMany({
+      where: { bikeId: bike.id, organizationId: orgId },
+      include: { recordedBy: { select: { id: true, name: true } } },
+      orderBy: { recordedAt: "desc" },
+    });
+
+    res.json({ odometerKm: bike.odometerKm, readings });
+  } catch (err) {
+    console.error("Error loading odometer readings:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** RECORD A MANUAL ODOMETER READING */
+export const addOdometerReading = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+
+    const bike = await findOrgBike(req.params.id, orgId);
+    if (!bike) return res.status(404).json({ error: "Bike not found" });
+
+    const odometer = parseOdometer(req.body.km, "km");
+    if (odometer.error) return res.status(400).json({ error: odometer.error });
+    if (odometer.km === undefined) {
+      return res.status(400).json({ error: "km is required" });
+    }
+
+    const rollback = odometerRollbackError(bike, odometer.km);
+    if (rollback) return res.status(400).json({ error: rollback });
+
+    const reading = await recordOdometer({
+      bike,
+      km: odometer.km,
+      source: "MANUAL",
+      accountId: req.account.id,
+    });
+
+    await recordAudit(req, {
+      entityType: "OdometerReading",
+      action: "create",
+      after: reading,
+    });
+
+    res.status(201).json(reading);
+  } catch (err) {
+    console.error("Error recording odometer reading:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,514 @@
+// src/controllers/team.controller.js
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+import { OPEN_LEAD_STATUSES } from "../utils/leadPipeline.js";
+import { parseBookingTime } from "../utils/dates.js";
+import {
+  MAX_INVITE_TTL_HOURS,
+  generateInviteCode,
+  generateInviteToken,
+  hasActivity,
+  inviteLink,
+  inviteStatus,
+  isLastAdmin,
+  memberSelect,
+  parseRoleAssignment,
+  pendingInviteFilter,
+} from "../services/team.service.js";
+import { revokeSessions } from "../services/session.service.js";
+import { clearLoginFailures } from "../services/loginGuard.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const findMember = (id, orgId) =>
+  prisma.account.findFirst({ where: { id, organizationId: orgId } });
+
+/**
+ * Changes to an ADMIN account, or making someone ADMIN, are for admins
+ * only — team.manage alone doesn't let a custom role escalate itself.
+ */
+const adminOnly = (req, res, member, data = {}) => {
+  if (req.account.role === "ADMIN") return false;
+  if (member.role === "ADMIN" || data.role === "ADMIN") {
+    res.status(403).json({ error: "Only admins can manage admin accounts" });
+    return true;
+  }
+  return false;
+};
+
+/** GET TEAM — ?status=active|inactive, default everyone */
+export const getTeam = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["active", "inactive"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    const members = await prisma.account.findMany({
+      where: {
+        organizationId: req.organizationId,
+        ...(status && { active: status === "active" }),
+      },
+      select: memberSelect,
+      orderBy: [{ active: "desc" }, { name: "asc" }],
+    });
+
+    res.json(members);
+  } catch (err) {
+    console.error("Error loading team:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UPDATE MEMBER ROLE — { role?, customRoleId? } */
+export const updateMemberRole = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const member = await findMember(req.params.id, orgId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+
+    const parsed = await parseRoleAssignment(req.body, orgId, {
+      partial: true,
+    });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (adminOnly(req, res, member, parsed.data)) return;
+
+    if (
+      member.role === "ADMIN" &&
+      parsed.data.role === "STAFF" &&
+      (await isLastAdmin(member.id, orgId))
+    ) {
+      return res
+        .status(409)
+        .json({ error: "The organization needs at least one admin" });
+    }
+
+    const updated = await prisma.account.update({
+      where: { id: member.id },
+      data: parsed.data,
+      select: memberSelect,
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "change_role",
+      before: member,
+      after: {
+        role: updated.role,
+        customRoleId: updated.customRole?.id ?? null,
+      },
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error updating member role:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * DEACTIVATE MEMBER
+ * Blocks login, revokes every session they hold and hands their open
+ * leads back to the unassigned pool. History stays attributed to them.
+ */
+export const deactivateMember = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const member = await findMember(req.params.id, orgId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (member.id === req.account.id) {
+      return res.status(400).json({ error: "You can't deactivate yourself" });
+    }
+    if (adminOnly(req, res, member)) return;
+    if (!member.active) {
+      return res.status(400).json({ error: "Member is already inactive" });
+    }
+    if (member.role === "ADMIN" && (await isLastAdmin(member.id, orgId))) {
+      return res
+        .status(409)
+        .json({ error: "The organization needs at least one admin" });
+    }
+
+    const [updated, leads] = await prisma.$transaction([
+      prisma.account.update({
+        where: { id: member.id },
+        data: {
+          active: false,
+          deactivatedAt: new Date(),
+          tokenVersion: { increment: 1 },
+        },
+        select: memberSelect,
+      }),
+      prisma.lead.updateMany({
+        where: {
+          organizationId: orgId,
+          assignedToId: member.id,
+          status: { in: OPEN_LEAD_STATUSES },
+        },
+        data: { assignedToId: null },
+      }),
+      revokeSessions({ accountId: member.id }, "deactivated"),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "deactivate",
+      before: member,
+      after: { active: false, leadsUnassigned: leads.count },
+    });
+
+    res.json({ ...updated, leadsUnassigned: leads.count });
+  } catch (err) {
+    console.error("Error deactivating member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** REACTIVATE MEMBER — they log in again with their old password */
+export const reactivateMember = async (req, res) => {
+  try {
+    const member = await findMember(req.params.id, req.organizationId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (adminOnly(req, res, member)) return;
+    if (member.active) {
+      return res.status(400).json({ error: "Member is already active" });
+    }
+
+    const updated = await prisma.account.update({
+      where: { id: member.id },
+      data: { active: true, deactivatedAt: null },
+      select: memberSelect,
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "reactivate",
+      before: member,
+      after: { active: true, deactivatedAt: null },
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error reactivating member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * REMOVE MEMBER
+ * Deletes the account outright. Anyone who has collected payments, logged
+ * inspections and so on can only be deactivated, so that history keeps
+ * its author (see hasActivity). Audit rows keep the actor's name and email
+ * either way.
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const member = await findMember(req.params.id, orgId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (member.id === req.account.id) {
+      return res.status(400).json({ error: "You can't remove yourself" });
+    }
+    if (adminOnly(req, res, member)) return;
+    if (member.role === "ADMIN" && (await isLastAdmin(member.id, orgId))) {
+      return res
+        .status(409)
+        .json({ error: "The organization needs at least one admin" });
+    }
+
+    if (await hasActivity(member.id)) {
+      return res.status(409).json({
+        error: "Member has activity on record; deactivate them instead",
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.invite.deleteMany({ where: { createdById: member.id } }),
+      prisma.account.delete({ where: { id: member.id } }),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "delete",
+      before: member,
+    });
+
+    res.json({ message: "Member removed" });
+  } catch (err) {
+    console.error("Error removing member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** UNLOCK MEMBER — lift a failed-login lockout and reset the count */
+export const unlockMember = async (req, res) => {
+  try {
+    const member = await findMember(req.params.id, req.organizationId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (adminOnly(req, res, member)) return;
+
+    await clearLoginFailures(member.id);
+    await recordAudit(req, {
+      entityType: "Account",
+      action: "unlock",
+      before: member,
+      after: { failedLoginCount: 0, lockedUntil: null },
+    });
+    const updated = await prisma.account.findUnique({
+      where: { id: member.id },
+      select: memberSelect,
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error unlocking member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * LOGIN ATTEMPTS
+ * GET /api/team/login-attempts?accountId=&success=true|false&from=&to=
+ * Newest first, 200 at most per page (?cursor=<id of the last one>).
+ */
+export const getLoginAttempts = async (req, res) => {
+  try {
+    const { accountId, success, from, to, cursor } = req.query;
+
+    if (success !== undefined && !["true", "false"].includes(success)) {
+      return res.status(400).json({ error: "success must be true or false" });
+    }
+
+    const start = from ? parseBookingTime(from, "start") : null;
+    const end = to ? parseBookingTime(to, "end") : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+
+    const attempts = await prisma.loginAttempt.findMany({
+      where: {
+        organizationId: req.organizationId,
+        ...(accountId && { accountId }),
+        ...(success !== undefined && { success: success === "true" }),
+        ...((start || end) && {
+          createdAt: {
+            ...(start && { gte: start }),
+            ...(end && { lte: end }),
+          },
+        }),
+      },
+      include: { account: { select: { id: true, name: true } } },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take: 200,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    res.json(attempts);
+  } catch (err) {
+    console.error("Error loading login attempts:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// ───────────────────────────────────────────────
+// SHARED INVITE CODE
+// ───────────────────────────────────────────────
+
+const inviteCodeSelect = { inviteCode: true, inviteCodeEnabled: true };
+
+/** GET INVITE CODE */
+export const getInviteCode = async (req, res) => {
+  try {
+    const org = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: inviteCodeSelect,
+    });
+    res.json(org);
+  } catch (err) {
+    console.error("Error loading invite code:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ROTATE INVITE CODE — the old code stops working immediately */
+export const rotateInviteCode = async (req, res) => {
+  try {
+    const org = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: { inviteCode: generateInviteCode() },
+      select: inviteCodeSelect,
+    });
+    await recordAudit(req, {
+      entityType: "Organization",
+      entityId: req.organizationId,
+      action: "rotate_invite_code",
+    });
+    res.json(org);
+  } catch (err) {
+    console.error("Error rotating invite code:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** ENABLE / DISABLE INVITE CODE — { enabled } */
+export const setInviteCodeEnabled = async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    const org = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: { inviteCodeEnabled: req.body.enabled },
+      select: inviteCodeSelect,
+    });
+    await recordAudit(req, {
+      entityType: "Organization",
+      entityId: req.organizationId,
+      action: "update",
+      after: { inviteCodeEnabled: org.inviteCodeEnabled },
+    });
+    res.json(org);
+  } catch (err) {
+    console.error("Error updating invite code:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// ───────────────────────────────────────────────
+// INVITE LINKS
+// ───────────────────────────────────────────────
+
+const inviteSummary = ({ token, ...invite }, now = new Date()) => ({
+  ...invite,
+  status: inviteStatus(invite, now),
+});
+
+const inviteInclude = {
+  customRole: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+  acceptedBy: { select: { id: true, name: true } },
+};
+
+/** GET INVITES — ?status=pending for the open ones only */
+export const getInvites = async (req, res) => {
+  try {
+    const now = new Date();
+    const invites = await prisma.invite.findMany({
+      where: {
+        organizationId: req.organizationId,
+        ...(req.query.status === "pending" && pendingInviteFilter(now)),
+      },
+      include: inviteInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(invites.map((i) => inviteSummary(i, now)));
+  } catch (err) {
+    console.error("Error loading invites:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * CREATE INVITE
+ * { email, role?, customRoleId?, expiresInHours? } → single-use link for
+ * that email. Any earlier pending invite for the same email is revoked.
+ */
+export const createInvite = async (req, res) => {
+  try {
+    const orgId = req.organizationId;
+    const email = String(req.body.email || "").trim();
+    if (!email || !email.includes("@")) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+
+    const hours =
+      req.body.expiresInHours === undefined
+        ? env.INVITE_TTL_HOURS
+        : Number(req.body.expiresInHours);
+    if (!(hours > 0 && hours <= MAX_INVITE_TTL_HOURS)) {
+      return res.status(400).json({
+        error: `expiresInHours must be above 0 and at most ${MAX_INVITE_TTL_HOURS}`,
+      });
+    }
+
+    const parsed = await parseRoleAssignment(req.body, orgId);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.data.role === "ADMIN" && req.account.role !== "ADMIN") {
+      return res.status(403).json({ error: "Only admins can invite admins" });
+    }
+
+    const existing = await prisma.account.findUnique({ where: { email } });
+    if (existing) {
+      return res.status(409).json({ error: "Email already has an account" });
+    }
+
+    const now = new Date();
+    const token = generateInviteToken();
+
+    const [, invite] = await prisma.$transaction([
+      prisma.invite.updateMany({
+        where: { organizationId: orgId, email, ...pendingInviteFilter(now) },
+        data: { revokedAt: now },
+      }),
+      prisma.invite.create({
+        data: {
+          token,
+          email,
+          ...parsed.data,
+          expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000),
+          organizationId: orgId,
+          createdById: req.account.id,
+        },
+        include: inviteInclude,
+      }),
+    ]);
+
+    await recordAudit(req, {
+      entityType: "Invite",
+      action: "create",
+      after: invite,
+    });
+
+    // the token is only ever shown here
+    res.status(201).json({
+      ...inviteSummary(invite, now),
+      token,
+      link: inviteLink(token),
+    });
+  } catch (err) {
+    console.error("Error creating invite:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/** REVOKE INVITE */
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = await prisma.invite.findFirst({
+      where: { id: req.params.inviteId, organizationId: req.organizationId },
+    });
+    if (!invite) return res.status(404).json({ error: "Invite not found" });
+    if (inviteStatus(invite) !== "PENDING") {
+      return res.status(400).json({ error: "Invite is no longer pending" });
+    }
+
+    const updated = await prisma.invite.update({
+      where: { id: invite.id },
+      data: { revokedAt: new Date() },
+      include: inviteInclude,
+    });
+
+    await recordAudit(req, {
+      entityType: "Invite",
+      action: "revoke",
+      before: invite,
+      after: updated,
+    });
+
+    res.json(inviteSummary(updated));
+  } catch (err) {
+    console.error("Error revoking invite:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,164 @@
+// src/controllers/twoFactor.controller.js
+import bcrypt from "bcrypt";
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+import { generateTotpSecret, otpauthUrl, verifyTotp } from "../utils/totp.js";
+import {
+  decryptSecret,
+  encryptSecret,
+  generateBackupCodes,
+  needsTwoFactorSetup,
+  verifySecondFactor,
+} from "../services/twoFactor.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const passwordMatches = (req, password) =>
+  !!password && bcrypt.compare(password, req.account.passwordHash);
+
+// GET /api/auth/2fa → enrolment state for the signed-in account
+export async function getTwoFactorStatus(req, res, next) {
+  try {
+    const { account } = req;
+    res.json({
+      enabled: !!account.totpEnabledAt,
+      enabledAt: account.totpEnabledAt,
+      backupCodesLeft: account.totpBackupCodes.length,
+      required:
+        account.role === "ADMIN" && !!account.organization?.requireAdmin2fa,
+      setupRequired: needsTwoFactorSetup(account, account.organization),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/2fa/setup → { password } → new secret + otpauth:// URI for
+// the QR code. Nothing is enforced until /2fa/enable confirms a code.
+export async function setupTwoFactor(req, res, next) {
+  try {
+    if (req.account.totpEnabledAt)
+      return res.status(400).json({ message: "2FA is already enabled" });
+
+    if (!(await passwordMatches(req, req.body.password)))
+      return res.status(401).json({ message: "Password is wrong" });
+
+    const secret = generateTotpSecret();
+    await prisma.account.update({
+      where: { id: req.account.id },
+      data: { totpSecret: encryptSecret(secret), totpLastStep: null },
+    });
+
+    res.json({
+      secret,
+      otpauthUrl: otpauthUrl({
+        secret,
+        accountName: req.account.email,
+        issuer: env.TOTP_ISSUER,
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/2fa/enable → { code } from the app; returns backup codes
+// (shown this once)
+export async function enableTwoFactor(req, res, next) {
+  try {
+    const { account } = req;
+    if (account.totpEnabledAt)
+      return res.status(400).json({ message: "2FA is already enabled" });
+    if (!account.totpSecret)
+      return res.status(400).json({ message: "Start setup first" });
+
+    const step = verifyTotp(decryptSecret(account.totpSecret), req.body.code);
+    if (step === null) return res.status(400).json({ message: "Invalid code" });
+
+    const { codes, hashes } = generateBackupCodes();
+    await prisma.account.update({
+      where: { id: account.id },
+      data: {
+        totpEnabledAt: new Date(),
+        totpLastStep: step,
+        totpBackupCodes: hashes,
+      },
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: account.id,
+      action: "enable_2fa",
+    });
+
+    res.json({ message: "2FA enabled", backupCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/2fa/disable → { password, code | backupCode }
+export async function disableTwoFactor(req, res, next) {
+  try {
+    const { account } = req;
+    if (!account.totpEnabledAt)
+      return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (account.role === "ADMIN" && account.organization?.requireAdmin2fa)
+      return res
+        .status(403)
+        .json({ message: "Your organization requires 2FA for admins" });
+
+    if (!(await passwordMatches(req, req.body.password)))
+      return res.status(401).json({ message: "Password is wrong" });
+
+    if (!(await verifySecondFactor(account, req.body)))
+      return res.status(401).json({ message: "Invalid code" });
+
+    await prisma.account.update({
+      where: { id: account.id },
+      data: {
+        totpSecret: null,
+        totpEnabledAt: null,
+        totpLastStep: null,
+        totpBackupCodes: [],
+      },
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: account.id,
+      action: "disable_2fa",
+    });
+
+    res.json({ message: "2FA disabled" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/auth/2fa/backup-codes → { code } → a new set; old ones stop working
+export async function regenerateBackupCodes(req, res, next) {
+  try {
+    if (!req.account.totpEnabledAt)
+      return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (!(await verifySecondFactor(req.account, { code: req.body.code })))
+      return res.status(401).json({ message: "Invalid code" });
+
+    const { codes, hashes } = generateBackupCodes();
+    await prisma.account.update({
+      where: { id: req.account.id },
+      data: { totpBackupCodes: hashes },
+    });
+
+    await recordAudit(req, {
+      entityType: "Account",
+      entityId: req.account.id,
+      action: "regenerate_backup_codes",
+    });
+
+    res.json({ backupCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+}
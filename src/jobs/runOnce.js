@@ -0,0 +1,17 @@
+// src/jobs/runOnce.js
+// Run a single status-transition pass: `npm run jobs:status`
+import "dotenv/config";
+import prisma from "../config/prisma.js";
+import { runStatusTransitions } from "./statusTransitions.job.js";
+
+try {
+  const result = await runStatusTransitions();
+  console.log(
+    `Marked no-show ${result.noShows}, overdue ${result.overdue}, updated ${result.bikesUpdated} bikes`
+  );
+} catch (err) {
+  console.error("Status transition run failed:", err);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
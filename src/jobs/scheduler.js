@@ -0,0 +1,38 @@
+// src/jobs/scheduler.js
+import env from "../config/env.js";
+import { runStatusTransitions } from "./statusTransitions.job.js";
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // a slow pass must not overlap the next one
+  if (running) return;
+  running = true;
+  try {
+    const result = await runStatusTransitions();
+    if (result.noShows || result.overdue || result.bikesUpdated) {
+      console.log("Status scheduler:", result);
+    }
+  } catch (err) {
+    console.error("Status scheduler error:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const startScheduler = () => {
+  if (!env.SCHEDULER_ENABLED || timer) return;
+
+  tick();
+  timer = setInterval(tick, env.SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  console.log(
+    `⏱️  Status scheduler running every ${env.SCHEDULER_INTERVAL_MS / 1000}s`
+  );
+};
+
+export const stopScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,117 @@
+// src/jobs/statusTransitions.job.js
+import env from "../config/env.js";
+import prisma from "../config/prisma.js";
+import { reconcileBikeStatuses } from "../services/booking.service.js";
+import { MS_PER_HOUR } from "../utils/dates.js";
+
+const SOURCE = "scheduler";
+
+/**
+ * Move bookings matching `where` from one status to another and return
+ * the transition rows to record. The status guard in
+ * updateMany keeps a concurrent manual change (e.g. markReturned) intact.
+ */
+const advanceBookings = async (tx, { from, to, where }) => {
+  const due = await tx.booking.findMany({
+    where: { status: from, ...where },
+    select: { id: true, organizationId: true },
+  });
+  if (due.length === 0) return [];
+
+  await tx.booking.updateMany({
+    where: { id: { in: due.map((b) => b.id) }, status: from },
+    data: { status: to },
+  });
+
+  return due.map((b) => ({
+    entityType: "BOOKING",
+    entityId: b.id,
+    fromStatus: from,
+    toStatus: to,
+    source: SOURCE,
+    organizationId: b.organizationId,
+  }));
+};
+
+/**
+ * advanceBookings and its StatusTransition rows in one short transaction.
+ * Returns how many bookings moved.
+ */
+const advanceAndRecord = (step) =>
+  prisma.$transaction(async (tx) => {
+    const transitions = await advanceBookings(tx, step);
+    if (transitions.length > 0) {
+      await tx.statusTransition.createMany({ data: transitions });
+    }
+    return transitions.length;
+  });
+
+/**
+ * UPCOMING bookings nobody picked up: NO_SHOW_GRACE_HOURS have passed
+ * since pickup time, or the whole rental window has.
+ */
+export const noShowFilter = (
+  now,
+  graceMs = env.NO_SHOW_GRACE_HOURS * MS_PER_HOUR
+) => ({
+  OR: [
+    { startDate: { lt: new Date(now.getTime() - graceMs) } },
+    { endDate: { lt: now } },
+  ],
+});
+
+/**
+ * One scheduler pass across all organizations:
+ * - UPCOMING → NO_SHOW once the pickup grace period has run out; the bike
+ *   is released for other bookings
+ * - ACTIVE → OVERDUE once the scheduled end has passed
+ * - Bike.status reconciled against the resulting bookings and
+ *   maintenance windows, org by org
+ * Each step commits on its own; every change is written to
+ * StatusTransition.
+ *
+ * UPCOMING → ACTIVE is not done here: a booking only becomes ACTIVE when
+ * the bike is actually handed over (POST /bookings/:id/pickup, or a
+ * walk-in created on the spot).
+ */
+export const runStatusTransitions = async (now = new Date()) => {
+  const noShows = await advanceAndRecord({
+    from: "UPCOMING",
+    to: "NO_SHOW",
+    where: noShowFilter(now),
+  });
+
+  const overdue = await advanceAndRecord({
+    from: "ACTIVE",
+    to: "OVERDUE",
+    where: { endDate: { lt: now } },
+  });
+
+  // one org at a time, so a big fleet never sits in one long transaction
+  const orgs = await prisma.organization.findMany({ select: { id: true } });
+  let bikesUpdated = 0;
+  for (const org of orgs) {
+    bikesUpdated += await prisma.$transaction(async (tx) => {
+      const { changes } = await reconcileBikeStatuses({
+        client: tx,
+        orgId: org.id,
+        now,
+      });
+      if (changes.length > 0) {
+        await tx.statusTransition.createMany({
+          data: changes.map((c) => ({
+            entityType: "BIKE",
+            entityId: c.id,
+            fromStatus: c.from,
+            toStatus: c.to,
+            source: SOURCE,
+            organizationId: c.organizationId,
+          })),
+        });
+      }
+      return changes.length;
+    });
+  }
+
+  return { noShows, overdue, bikesUpdated };
+};
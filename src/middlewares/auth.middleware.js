@@ -1,11 +1,11 @@
 import jwt from "jsonwebtoken";
 import prisma from "../config/prisma.js";
 import env from "../config/env.js";
+import { needsTwoFactorSetup } from "../services/twoFactor.service.js";
 
 export async function authenticate(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
-    console.log("unauthh middle");
 
     if (!authHeader) return res.status(401).json({ message: "Unauthorized" });
 
@@ -13,21 +13,54 @@ export async function authenticate(req, res, next) {
 
     const payload = jwt.verify(token, env.JWT_SECRET);
 
-    // Fetch account
-    const account = await prisma.account.findUnique({
-      where: { id: payload.accountId },
-    });
-    console.log("unauth");
+    // Fetch session + account; a revoked session is refused at once
+    const session = payload.sessionId
+      ? await prisma.session.findUnique({
+          where: { id: payload.sessionId },
+          include: {
+            account: {
+              include: { organization: { select: { requireAdmin2fa: true } } },
+            },
+          },
+        })
+      : null;
 
-    if (!account) return res.status(401).json({ message: "Unauthorized" });
+    if (
+      !session ||
+      session.revokedAt ||
+      session.accountId !== payload.accountId
+    ) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const { account } = session;
+
+    // deactivated, or tokens revoked since this one was issued
+    if (
+      !account.active ||
+      (payload.tokenVersion ?? 0) !== account.tokenVersion
+    ) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    // org requires 2FA for admins: only /api/auth (enrol, logout…) until done
+    if (
+      needsTwoFactorSetup(account, account.organization) &&
+      req.baseUrl !== "/api/auth"
+    ) {
+      return res.status(403).json({
+        message: "Two-factor authentication setup required",
+        twoFactorSetupRequired: true,
+      });
+    }
 
     // Attach to request
     req.account = account;
+    req.sessionId = session.id;
     req.organizationId = payload.organizationId;
 
     next();
-  } catch (err) {
-    console.log(err, "middle");
+  } catch {
     return res.status(401).json({ message: "Unauthorized" });
   }
 }
@@ -0,0 +1,36 @@
+import { resolvePermissions } from "../services/permission.service.js";
+
+/**
+ * Permissions for the authenticated account, resolved once per request.
+ * Must run after `authenticate`.
+ */
+export async function loadPermissions(req) {
+  if (!req.permissions) {
+    req.permissions = new Set(await resolvePermissions(req.account));
+  }
+  return req.permissions;
+}
+
+/** For checks that depend on the request body (e.g. changing dailyRate) */
+export async function hasPermission(req, permission) {
+  return (await loadPermissions(req)).has(permission);
+}
+
+/** Route guard: the account needs every listed permission */
+export function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      const granted = await loadPermissions(req);
+      const missing = permissions.find((p) => !granted.has(p));
+      if (missing) {
+        return res
+          .status(403)
+          .json({ error: "You don't have permission to do this", missing });
+      }
+      next();
+    } catch (err) {
+      console.error("Error checking permissions:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Fixed-window rate limiter kept in memory. Enough for a single instance;
+ * several instances behind a balancer would each count separately.
+ *
+ *   rateLimit({ name, windowMs, max, key: (req) => string | null })
+ *
+ * A null key skips the check (e.g. no email in the body yet).
+ */
+const buckets = new Map();
+
+// drop expired windows now and then so the map doesn't grow forever
+const PRUNE_EVERY_MS = 60 * 1000;
+let lastPrune = 0;
+
+const prune = (now) => {
+  if (now - lastPrune < PRUNE_EVERY_MS) return;
+  lastPrune = now;
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+};
+
+export function rateLimit({ name, windowMs, max, key = (req) => req.ip }) {
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    prune(now);
+
+    const bucketKey = `${name}:${id}`;
+    let bucket = buckets.get(bucketKey);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(bucketKey, bucket);
+    }
+    bucket.count += 1;
+
+    if (bucket.count > max) {
+      const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res
+        .status(429)
+        .json({ message: "Too many requests, try again later", retryAfter });
+    }
+
+    next();
+  };
+}
+
+/** Per-email key for bodies carrying { email } */
+export const emailKey = (req) =>
+  typeof req.body?.email === "string"
+    ? req.body.email.trim().toLowerCase() || null
+    : null;
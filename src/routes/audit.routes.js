@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getAuditLogs } from "../controllers/audit.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+router.use(authenticate, requirePermission("audit.view"));
+
+router.get("/", getAuditLogs);
+
+export default router;
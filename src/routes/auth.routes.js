@@ -1,11 +1,74 @@
 import { Router } from "express";
-import { registerOrg, login, joinOrg } from "../controllers/auth.controller.js";
+import {
+  registerOrg,
+  login,
+  loginTwoFactor,
+  joinOrg,
+  getInvite,
+  acceptInvite,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+} from "../controllers/auth.controller.js";
+import {
+  getMe,
+  updateMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+} from "../controllers/account.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from "../controllers/twoFactor.controller.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { emailKey, rateLimit } from "../middlewares/rateLimit.middleware.js";
+
+const MINUTE = 60 * 1000;
+
+// every unauthenticated auth call, per IP
+const perIp = rateLimit({ name: "auth-ip", windowMs: 15 * MINUTE, max: 100 });
+// guessing one account's password, or probing which emails exist
+const perEmail = rateLimit({
+  name: "auth-email",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  key: emailKey,
+});
+const signups = rateLimit({
+  name: "signup-ip",
+  windowMs: 60 * MINUTE,
+  max: 10,
+});
 
 const router = Router();
 
-router.post("/register-org", registerOrg);
-router.post("/login", login);
-router.post("/join-org", joinOrg);
+router.post("/register-org", perIp, signups, registerOrg);
+router.post("/login", perIp, perEmail, login);
+router.post("/login/2fa", perIp, loginTwoFactor);
+router.post("/join-org", perIp, signups, joinOrg);
+router.get("/invites/:token", perIp, getInvite);
+router.post("/accept-invite", perIp, signups, acceptInvite);
+router.post("/refresh", perIp, refresh);
+router.post("/forgot-password", perIp, perEmail, forgotPassword);
+router.post("/reset-password", perIp, perEmail, resetPassword);
+
+router.post("/logout", authenticate, logout);
+router.post("/logout-all", authenticate, logoutAll);
+router.get("/sessions", authenticate, getSessions);
+
+router.get("/me", authenticate, getMe);
+router.patch("/me", authenticate, updateMe);
+router.post("/change-password", authenticate, changePassword);
+
+router.get("/2fa", authenticate, getTwoFactorStatus);
+router.post("/2fa/setup", authenticate, setupTwoFactor);
+router.post("/2fa/enable", authenticate, enableTwoFactor);
+router.post("/2fa/disable", authenticate, disableTwoFactor);
+router.post("/2fa/backup-codes", authenticate, regenerateBackupCodes);
 
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import {
   getBikes,
+  getAvailableBikes,
   getBikeById,
   createBike,
   updateBike,
@@ -9,18 +10,54 @@ import {
   toggleBikeMaintenance,
   deleteBike,
 } from "../controllers/bikes.controller.js";
+import {
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+} from "../controllers/maintenance.controller.js";
+import {
+  getServiceDue,
+  getServiceRecords,
+  createServiceRecord,
+  deleteServiceRecord,
+  getOdometerReadings,
+  addOdometerReading,
+} from "../controllers/servicing.controller.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
 
 const router = Router();
 router.use(authenticate);
 
+const manage = requirePermission("bikes.manage");
+
 router.get("/", getBikes);
+router.get("/available", getAvailableBikes);
+router.get("/service-due", getServiceDue);
 router.get("/:id", getBikeById);
-router.post("/", createBike);
-router.put("/:id", updateBike);
-router.patch("/:id/status", updateBikeStatus);
+router.post("/", manage, createBike);
+router.put("/:id", manage, updateBike);
+router.patch("/:id/status", manage, updateBikeStatus);
 router.get("/:id/availability", getBikeAvailability);
-router.patch("/:id/maintenance", toggleBikeMaintenance);
-router.delete("/:id", deleteBike);
+router.patch("/:id/maintenance", manage, toggleBikeMaintenance);
+router.get("/:id/maintenance-windows", getMaintenanceWindows);
+router.post("/:id/maintenance-windows", manage, createMaintenanceWindow);
+router.put(
+  "/:id/maintenance-windows/:windowId",
+  manage,
+  updateMaintenanceWindow
+);
+router.delete(
+  "/:id/maintenance-windows/:windowId",
+  manage,
+  deleteMaintenanceWindow
+);
+router.get("/:id/service-records", getServiceRecords);
+router.post("/:id/service-records", manage, createServiceRecord);
+router.delete("/:id/service-records/:recordId", manage, deleteServiceRecord);
+router.get("/:id/odometer", getOdometerReadings);
+router.post("/:id/odometer", manage, addOdometerReading);
+router.delete("/:id", requirePermission("bikes.delete"), deleteBike);
 
 export default router;
@@ -1,22 +1,78 @@
-import { Router } from "express";
+import express, { Router } from "express";
 import {
   getBookings,
   getBookingById,
   createBooking,
+  quoteBooking,
   updateBooking,
   markReturned,
+  extendBooking,
   deleteBooking,
 } from "../controllers/bookings.controller.js";
+import {
+  getPayments,
+  addPayment,
+  voidPayment,
+} from "../controllers/payments.controller.js";
+import {
+  getDepositsReport,
+  collectDeposit,
+} from "../controllers/deposits.controller.js";
+import { getCalendar } from "../controllers/calendar.controller.js";
+import {
+  pickupBooking,
+  getInspections,
+  uploadInspectionPhoto,
+  getInspectionPhoto,
+  deleteInspectionPhoto,
+} from "../controllers/inspections.controller.js";
+import {
+  MAX_PHOTO_BYTES,
+  PHOTO_TYPES,
+} from "../services/inspection.service.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
 
 const router = Router();
 router.use(authenticate);
 
+const manage = requirePermission("bookings.manage");
+const recordPayments = requirePermission("payments.record");
+
 router.get("/", getBookings);
+router.get("/deposits", getDepositsReport);
+router.get("/calendar", getCalendar);
 router.get("/:id", getBookingById);
-router.post("/", createBooking);
-router.put("/:id", updateBooking);
-router.patch("/:id/returned", markReturned);
-router.delete("/:id", deleteBooking);
+router.post("/", manage, createBooking);
+router.post("/quote", quoteBooking);
+router.put("/:id", manage, updateBooking);
+router.patch("/:id/returned", manage, markReturned);
+router.post("/:id/extend", manage, extendBooking);
+router.delete("/:id", requirePermission("bookings.delete"), deleteBooking);
+
+router.get("/:id/payments", getPayments);
+router.post("/:id/payments", recordPayments, addPayment);
+router.patch(
+  "/:id/payments/:paymentId/void",
+  requirePermission("payments.void"),
+  voidPayment
+);
+
+router.post("/:id/deposit", recordPayments, collectDeposit);
+
+router.post("/:id/pickup", manage, pickupBooking);
+router.get("/:id/inspections", getInspections);
+router.post(
+  "/:id/inspections/:type/photos",
+  manage,
+  express.raw({ type: Object.keys(PHOTO_TYPES), limit: MAX_PHOTO_BYTES }),
+  uploadInspectionPhoto
+);
+router.get("/:id/inspections/photos/:photoId", getInspectionPhoto);
+router.delete(
+  "/:id/inspections/photos/:photoId",
+  manage,
+  deleteInspectionPhoto
+);
 
 export default router;
@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  addCustomerFlag,
+  clearCustomerFlag,
+} from "../controllers/customers.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+router.use(authenticate);
+
+const manage = requirePermission("customers.manage");
+
+router.get("/", getCustomers);
+router.get("/:id", getCustomerById);
+router.post("/", manage, createCustomer);
+router.put("/:id", manage, updateCustomer);
+router.post("/:id/flags", manage, addCustomerFlag);
+router.patch(
+  "/:id/flags/:flagId/clear",
+  requirePermission("customers.clearFlags"),
+  clearCustomerFlag
+);
+
+export default router;
@@ -4,6 +4,11 @@ import bikesRoutes from "./bikes.routes.js";
 import bookingsRoutes from "./bookings.routes.js";
 import authRoutes from "./auth.routes.js";
 import dashboardRoutes from "./dashboard.routes.js";
+import rateCardsRoutes from "./rateCards.routes.js";
+import organizationRoutes from "./organization.routes.js";
+import customersRoutes from "./customers.routes.js";
+import teamRoutes from "./team.routes.js";
+import auditRoutes from "./audit.routes.js";
 const router = express.Router();
 
 router.use("/leads", leadsRoutes);
@@ -11,5 +16,10 @@ router.use("/bikes", bikesRoutes);
 router.use("/bookings", bookingsRoutes);
 router.use("/auth", authRoutes);
 router.use("/dashboard", dashboardRoutes);
+router.use("/rate-cards", rateCardsRoutes);
+router.use("/organization", organizationRoutes);
+router.use("/customers", customersRoutes);
+router.use("/team", teamRoutes);
+router.use("/audit", auditRoutes);
 
 export default router;
@@ -1,25 +1,77 @@
 import { Router } from "express";
 import {
   createLead,
+  createInboundLead,
   getLeads,
+  getDueLeads,
+  getLeadById,
   updateLeadStatus,
+  assignLead,
+  setLeadFollowUp,
+  addLeadNote,
+  convertLead,
+  getLeadReport,
   deleteLead,
+  getLeadIntakeKey,
+  rotateLeadIntakeKey,
 } from "../controllers/leads.controller.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
 
 const router = Router();
+
+// POST /leads/inbound/:orgKey → public webhook (website form, WhatsApp bot)
+router.post("/inbound/:orgKey", createInboundLead);
+
 router.use(authenticate);
 
+const manage = requirePermission("leads.manage");
+
 // POST /leads → add new manual lead
-router.post("/", createLead);
+router.post("/", manage, createLead);
 
 // GET /leads → list all
 router.get("/", getLeads);
 
-// PATCH /leads/:id/status → update status only
-router.patch("/:id/status", updateLeadStatus);
+// GET /leads/intake-key → org's inbound webhook key
+router.get("/intake-key", getLeadIntakeKey);
+
+// POST /leads/intake-key/rotate → issue a new key
+router.post(
+  "/intake-key/rotate",
+  requirePermission("leads.intakeKey"),
+  rotateLeadIntakeKey
+);
+
+// GET /leads/due → follow-ups owed today (mine, or ?scope=all)
+router.get("/due", getDueLeads);
+
+// GET /leads/report → funnel + conversion revenue
+router.get("/report", getLeadReport);
+
+// GET /leads/:id → lead with activity history
+router.get("/:id", getLeadById);
+
+// PATCH /leads/:id/status → move through the pipeline
+router.patch("/:id/status", manage, updateLeadStatus);
+
+// PATCH /leads/:id/assign → assign to an account (null → unassign)
+router.patch("/:id/assign", manage, assignLead);
+
+// PATCH /leads/:id/follow-up → set or clear followUpAt
+router.patch("/:id/follow-up", manage, setLeadFollowUp);
+
+// POST /leads/:id/notes → log a call note
+router.post("/:id/notes", manage, addLeadNote);
+
+// POST /leads/:id/convert → create booking and mark lead won
+router.post(
+  "/:id/convert",
+  requirePermission("leads.manage", "bookings.manage"),
+  convertLead
+);
 
 // DELETE /leads/:id → remove (optional)
-router.delete("/:id", deleteLead);
+router.delete("/:id", requirePermission("leads.delete"), deleteLead);
 
 export default router;
@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+  getSettings,
+  updateSettings,
+} from "../controllers/organization.controller.js";
+import {
+  getRoles,
+  getMyPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/roles.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+router.use(authenticate);
+
+const manageRoles = requirePermission("roles.manage");
+
+router.get("/settings", getSettings);
+router.patch("/settings", requirePermission("settings.manage"), updateSettings);
+
+// permission matrix; /roles/mine is open to every account
+router.get("/roles/mine", requirePermission(), getMyPermissions);
+router.get("/roles", manageRoles, getRoles);
+router.post("/roles", manageRoles, createRole);
+router.put("/roles/:name", manageRoles, updateRole);
+router.delete("/roles/:name", manageRoles, deleteRole);
+
+export default router;
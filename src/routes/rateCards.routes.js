@@ -0,0 +1,33 @@
+import { Router } from "express";
+import {
+  getRateCards,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+  addSeason,
+  deleteSeason,
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+} from "../controllers/rateCards.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+router.use(authenticate);
+
+const manage = requirePermission("pricing.manage");
+
+router.get("/holidays", getHolidays);
+router.post("/holidays", manage, createHoliday);
+router.delete("/holidays/:id", manage, deleteHoliday);
+
+router.get("/", getRateCards);
+router.post("/", manage, createRateCard);
+router.put("/:id", manage, updateRateCard);
+router.delete("/:id", manage, deleteRateCard);
+
+router.post("/:id/seasons", manage, addSeason);
+router.delete("/:id/seasons/:seasonId", manage, deleteSeason);
+
+export default router;
@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  getTeam,
+  updateMemberRole,
+  deactivateMember,
+  reactivateMember,
+  removeMember,
+  unlockMember,
+  getLoginAttempts,
+  getInviteCode,
+  rotateInviteCode,
+  setInviteCodeEnabled,
+  getInvites,
+  createInvite,
+  revokeInvite,
+} from "../controllers/team.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+router.use(authenticate, requirePermission("team.manage"));
+
+router.get("/", getTeam);
+router.get("/login-attempts", getLoginAttempts);
+
+router.get("/invite-code", getInviteCode);
+router.post("/invite-code/rotate", rotateInviteCode);
+router.patch("/invite-code", setInviteCodeEnabled);
+
+router.get("/invites", getInvites);
+router.post("/invites", createInvite);
+router.patch("/invites/:inviteId/revoke", revokeInvite);
+
+router.patch("/:id/role", updateMemberRole);
+router.patch("/:id/deactivate", deactivateMember);
+router.patch("/:id/reactivate", reactivateMember);
+router.patch("/:id/unlock", unlockMember);
+router.delete("/:id", removeMember);
+
+export default router;
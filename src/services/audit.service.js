@@ -0,0 +1,132 @@
+// src/services/audit.service.js
+import prisma from "../config/prisma.js";
+
+// never written to the log, whatever entity they're on
+const SECRET_FIELDS = new Set([
+  "passwordHash",
+  "totpSecret",
+  "totpBackupCodes",
+  "totpLastStep",
+  "refreshTokenHash",
+  "codeHash",
+  "token",
+  "leadIntakeKey",
+  "inviteCode",
+]);
+
+// change on every write, so they'd only add noise to diffs
+const IGNORED_FIELDS = new Set(["updatedAt"]);
+
+// Json columns per model: object-valued like a relation, but part of the
+// record itself, so they're audited. Keep in step with schema.prisma.
+const JSON_FIELDS = {
+  Booking: ["priceBreakdown"],
+  Inspection: ["damage"],
+  RiskOverride: ["flags"],
+  ServiceRecord: ["parts"],
+};
+
+// Dates, Decimals etc. as they'd appear in an API response
+const plain = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Drop secrets and nested relations; keep scalar and Json columns
+ * (JSON_FIELDS for `entityType`).
+ */
+const snapshot = (record, entityType) => {
+  if (!record) return null;
+  const json = JSON_FIELDS[entityType] || [];
+  const out = {};
+  for (const [key, value] of Object.entries(plain(record))) {
+    if (SECRET_FIELDS.has(key) || IGNORED_FIELDS.has(key)) continue;
+    if (json.includes(key)) {
+      out[key] = value;
+      continue;
+    }
+    // relations: nested objects and lists of them
+    const nested = Array.isArray(value)
+      ? value.some((v) => v !== null && typeof v === "object")
+      : value !== null && typeof value === "object";
+    if (nested) continue;
+    out[key] = value;
+  }
+  return out;
+};
+
+/**
+ * Fields that differ between two versions of a record, as
+ * { before: { field: old }, after: { field: new } }. Only fields present
+ * on `after` are compared, so partial selects are fine. Pass the model
+ * name as `entityType` so its Json columns are compared too.
+ */
+export const diffRecords = (before, after, entityType) => {
+  const a = snapshot(before, entityType) || {};
+  const b = snapshot(after, entityType) || {};
+  const diff = { before: {}, after: {} };
+  for (const key of Object.keys(b)) {
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    diff.before[key] = a[key] ?? null;
+    diff.after[key] = b[key];
+  }
+  return diff;
+};
+
+/**
+ * Write an AuditLog row for a mutation `req` just made.
+ * - action "create": pass `after`; "delete": pass `before`; anything else
+ *   with both is stored as a diff of the changed fields.
+ * - actor (an Account) and org come from the authenticated request unless
+ *   given (sign-up, inbound webhooks). The actor's name and email are
+ *   copied onto the row so it still says who did it once they're gone.
+ * A failed audit write is logged, never thrown: the change it describes
+ * has already happened.
+ */
+export async function recordAudit(
+  req,
+  {
+    entityType,
+    entityId,
+    action,
+    before,
+    after,
+    organizationId = req.organizationId,
+    actor = req.account,
+  }
+) {
+  try {
+    let data;
+    if (before !== undefined && after !== undefined) {
+      const diff = diffRecords(before, after, entityType);
+      // a no-op update isn't worth a row
+      if (Object.keys(diff.after).length === 0) return;
+      data = diff;
+    } else {
+      data = {
+        before: snapshot(before, entityType),
+        after: snapshot(after, entityType),
+      };
+    }
+
+    // lead ids are integers; everything else is a uuid
+    const id = entityId ?? after?.id ?? before?.id;
+
+    await prisma.auditLog.create({
+      data: {
+        entityType,
+        entityId: id == null ? null : String(id),
+        action,
+        before: data.before ?? undefined,
+        after: data.after ?? undefined,
+        ip: req.ip || null,
+        userAgent: req.headers?.["user-agent"]?.slice(0, 255) || null,
+        organizationId,
+        actorId: actor?.id || null,
+        actorName: actor?.name || null,
+        actorEmail: actor?.email || null,
+      },
+    });
+  } catch (err) {
+    console.error("Audit log write failed:", err);
+  }
+}
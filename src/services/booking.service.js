@@ -0,0 +1,560 @@
+// src/services/booking.service.js
+import prisma from "../config/prisma.js";
+import {
+  MS_PER_DAY,
+  MS_PER_HOUR,
+  MS_PER_MINUTE,
+  today,
+  parseBookingTime,
+} from "../utils/dates.js";
+import { depositData } from "./deposit.service.js";
+import {
+  activeWindowFilter,
+  findOverlappingWindow,
+  maintenanceConflict,
+  windowOverlapFilter,
+} from "./maintenance.service.js";
+import {
+  quotePrice,
+  bookingBreakdown,
+  rentalLengthError,
+} from "./pricing.service.js";
+
+/** Bookings that still hold the bike (not yet returned) */
+export const OPEN_BOOKING_STATUSES = ["UPCOMING", "ACTIVE", "OVERDUE"];
+
+const BIKE_STATUSES = ["AVAILABLE", "RENTED", "MAINTENANCE"];
+
+/**
+ * Bookings that have the bike out right now: picked up (ACTIVE, even
+ * early), not back yet (OVERDUE), or due out per the schedule.
+ */
+const heldNowFilter = (now) => ({
+  OR: [
+    { status: { in: ["ACTIVE", "OVERDUE"] } },
+    { status: "UPCOMING", startDate: { lte: now }, endDate: { gte: now } },
+  ],
+});
+
+/**
+ * Reconcile Bike.status for many bikes in a fixed number of queries: one
+ * each for the bikes held by a booking and the bikes inside a maintenance
+ * window right now, one to load current statuses (skipped when `bikes` is
+ * passed in) and at most three updateMany calls.
+ * A bike is RENTED while a booking holds it (see heldNowFilter), otherwise
+ * MAINTENANCE while a maintenance window is in force, otherwise AVAILABLE.
+ *
+ * Scope with `orgId` and/or `bikeIds`; pass `client` to run inside a
+ * transaction. Returns every changed bike and a map of bikeId → status.
+ */
+export const reconcileBikeStatuses = async ({
+  orgId,
+  bikeIds,
+  bikes,
+  client = prisma,
+  now = new Date(),
+} = {}) => {
+  const scope = {
+    ...(orgId && { organizationId: orgId }),
+    ...(bikeIds && { id: { in: bikeIds } }),
+  };
+
+  const current =
+    bikes ??
+    (await client.bike.findMany({
+      where: scope,
+      select: { id: true, status: true, organizationId: true },
+    }));
+
+  const idFilter = bikeIds ?? bikes?.map((b) => b.id);
+  const related = {
+    ...(orgId && { organizationId: orgId }),
+    ...(idFilter && { bikeId: { in: idFilter } }),
+  };
+
+  const held = await client.booking.findMany({
+    where: { ...related, ...heldNowFilter(now) },
+    select: { bikeId: true },
+    distinct: ["bikeId"],
+  });
+  const heldIds = new Set(held.map((b) => b.bikeId));
+
+  const inWorkshop = await client.maintenanceWindow.findMany({
+    where: { ...related, ...activeWindowFilter(now) },
+    select: { bikeId: true },
+    distinct: ["bikeId"],
+  });
+  const workshopIds = new Set(inWorkshop.map((w) => w.bikeId));
+
+  const statuses = new Map();
+  const changes = [];
+  for (const bike of current) {
+    const status = heldIds.has(bike.id)
+      ? "RENTED"
+      : workshopIds.has(bike.id)
+        ? "MAINTENANCE"
+        : "AVAILABLE";
+    if (status !== bike.status) {
+      changes.push({
+        id: bike.id,
+        organizationId: bike.organizationId,
+        from: bike.status,
+        to: status,
+      });
+    }
+    statuses.set(bike.id, status);
+  }
+
+  for (const to of BIKE_STATUSES) {
+    const ids = changes.filter((c) => c.to === to).map((c) => c.id);
+    if (ids.length === 0) continue;
+    await client.bike.updateMany({
+      where: { id: { in: ids } },
+      data: { status: to },
+    });
+  }
+
+  return { changes, statuses };
+};
+
+/**
+ * Auto-fix a single bike's status from its bookings (see
+ * reconcileBikeStatuses). Does not change bookings.
+ */
+export const autoFixBikeStatus = async (bikeId, orgId) => {
+  try {
+    const { statuses } = await reconcileBikeStatuses({
+      orgId,
+      bikeIds: [bikeId],
+    });
+    return statuses.get(bikeId) ?? null;
+  } catch (e) {
+    // best-effort: a failed status fix must not break the caller
+    console.error("Error fixing bike status:", e);
+    return null;
+  }
+};
+
+/** Org-configured cleaning/handover gap between rentals, in ms */
+export const getBookingBufferMs = async (orgId) => {
+  const org = await prisma.organization.findUnique({
+    where: { id: orgId },
+    select: { bookingBufferMinutes: true },
+  });
+  return (org?.bookingBufferMinutes || 0) * MS_PER_MINUTE;
+};
+
+/**
+ * Prisma filter for open bookings that clash with [startDate, endDate]
+ * ± buffer. An OVERDUE booking still has the bike, so it blocks any window
+ * starting before now (+ buffer) whatever its endDate says.
+ */
+export const clashFilter = ({ startDate, endDate, bufferMs = 0 }) => {
+  const before = new Date(endDate.getTime() + bufferMs);
+  const after = new Date(startDate.getTime() - bufferMs);
+
+  return {
+    OR: [
+      {
+        status: { in: OPEN_BOOKING_STATUSES },
+        startDate: { lt: before },
+        endDate: { gt: after },
+      },
+      ...(after.getTime() < Date.now()
+        ? [{ status: "OVERDUE", startDate: { lt: before } }]
+        : []),
+    ],
+  };
+};
+
+/**
+ * Find an open booking on the bike that clashes with
+ * [startDate, endDate], keeping `bufferMs` clear on both sides.
+ */
+export const findOverlappingBooking = ({
+  orgId,
+  bikeId,
+  startDate,
+  endDate,
+  bufferMs = 0,
+  excludeId,
+}) =>
+  prisma.booking.findFirst({
+    where: {
+      bikeId,
+      organizationId: orgId,
+      ...(excludeId && { id: { not: excludeId } }),
+      ...clashFilter({ startDate, endDate, bufferMs }),
+    },
+    orderBy: { startDate: "asc" },
+  });
+
+/**
+ * Bikes in the org (other than `excludeBikeIds`) with no open booking
+ * touching [startDate, endDate] ± buffer and no maintenance window inside it.
+ * Three queries regardless of fleet size.
+ */
+export const findAvailableBikes = async ({
+  orgId,
+  startDate,
+  endDate,
+  bufferMs = 0,
+  excludeBikeIds = [],
+}) => {
+  const busy = await prisma.booking.findMany({
+    where: {
+      organizationId: orgId,
+      ...clashFilter({ startDate, endDate, bufferMs }),
+    },
+    select: { bikeId: true },
+    distinct: ["bikeId"],
+  });
+
+  const inWorkshop = await prisma.maintenanceWindow.findMany({
+    where: {
+      organizationId: orgId,
+      ...windowOverlapFilter({ startDate, endDate }),
+    },
+    select: { bikeId: true },
+    distinct: ["bikeId"],
+  });
+
+  return prisma.bike.findMany({
+    where: {
+      organizationId: orgId,
+      id: {
+        notIn: [
+          ...excludeBikeIds,
+          ...busy.map((b) => b.bikeId),
+          ...inWorkshop.map((w) => w.bikeId),
+        ],
+      },
+    },
+    orderBy: { dailyRate: "asc" },
+  });
+};
+
+/**
+ * Merge bookings (sorted by startDate) into continuous blocking chains.
+ * Anything with startDate/endDate works, e.g. maintenance windows too.
+ * Two bookings chain when the gap between them is no bigger than the
+ * buffer — the bike can't go out in between anyway.
+ */
+export const mergeBookingChains = (bookings, bufferMs = 0) => {
+  const merged = [];
+  for (const b of bookings) {
+    const start = new Date(b.startDate);
+    const end = new Date(b.endDate);
+    const last = merged[merged.length - 1];
+
+    // overlap / contiguous (within buffer) -> merge
+    if (last && start.getTime() <= last.end.getTime() + bufferMs) {
+      if (end > last.end) last.end = end;
+      last.ids.push(b.id);
+      last.raws.push(b);
+    } else {
+      // non-overlapping -> start new chain
+      merged.push({ start, end, ids: [b.id], raws: [b] });
+    }
+  }
+  return merged;
+};
+
+// stand-in end for open-ended maintenance windows (latest valid Date)
+const OPEN_END = new Date(8.64e15);
+
+/**
+ * computeAvailability:
+ * - merges overlapping/contiguous bookings and maintenance windows
+ *   (for blocking chain)
+ * - returns whether bike is available right now (no current booking or
+ *   maintenance)
+ * - returns nextAvailableDate = end of the blocking chain + buffer (null
+ *   while the chain ends in open-ended maintenance)
+ * - returns returnInDays / returnInHours, blockingBookings and
+ *   maintenanceWindows (merged chain)
+ */
+export const computeAvailability = async (bikeId, orgId, bufferMs) => {
+  const now = new Date();
+  if (bufferMs === undefined) bufferMs = await getBookingBufferMs(orgId);
+
+  // fetch open bookings that can still block now or later; an OVERDUE
+  // booking holds the bike until it's returned, whatever its endDate says
+  const bookings = await prisma.booking.findMany({
+    where: {
+      bikeId,
+      organizationId: orgId,
+      status: { in: OPEN_BOOKING_STATUSES },
+      OR: [
+        { endDate: { gte: new Date(now.getTime() - bufferMs) } },
+        { status: "OVERDUE" },
+      ],
+    },
+    orderBy: { startDate: "asc" },
+  });
+  // overdue bookings block as if due back right now
+  const heldUntil = (b) =>
+    b.status === "OVERDUE" && new Date(b.endDate) < now ? now : b.endDate;
+
+  const windows = await prisma.maintenanceWindow.findMany({
+    where: {
+      bikeId,
+      organizationId: orgId,
+      OR: [
+        { endDate: null },
+        { endDate: { gte: new Date(now.getTime() - bufferMs) } },
+      ],
+    },
+    orderBy: { startDate: "asc" },
+  });
+
+  if (bookings.length === 0 && windows.length === 0) {
+    return {
+      bikeId,
+      isAvailableNow: true,
+      nextAvailableDate: null,
+      currentBooking: null,
+      currentMaintenance: null,
+      returnInDays: 0,
+      returnInHours: 0,
+      blockingBookings: [],
+      maintenanceWindows: [],
+    };
+  }
+
+  const blocks = [
+    ...bookings.map((b) => ({ ...b, endDate: heldUntil(b), type: "BOOKING" })),
+    ...windows.map((w) => ({
+      ...w,
+      endDate: w.endDate ?? OPEN_END,
+      type: "MAINTENANCE",
+    })),
+  ].sort((x, y) => new Date(x.startDate) - new Date(y.startDate));
+
+  const merged = mergeBookingChains(blocks, bufferMs);
+
+  // find the chain of interest:
+  // prefer chain that blocks 'now' (incl. buffer), otherwise the first one
+  const blockingNow = merged.find(
+    (c) => c.start <= now && c.end.getTime() + bufferMs >= now.getTime()
+  );
+  const chosenChain = blockingNow || merged[0];
+
+  // currentBooking: if any booking actually covers now (single booking)
+  const currentBooking = bookings.find(
+    (b) => new Date(b.startDate) <= now && new Date(heldUntil(b)) >= now
+  );
+  const currentMaintenance = windows.find(
+    (w) => w.startDate <= now && (!w.endDate || w.endDate > now)
+  );
+
+  const openEnded = chosenChain.end.getTime() === OPEN_END.getTime();
+  const freeAt = openEnded
+    ? null
+    : new Date(chosenChain.end.getTime() + bufferMs);
+  const nextAvailableDate = freeAt && freeAt > now ? freeAt : null;
+  const waitMs = blockingNow && nextAvailableDate ? nextAvailableDate - now : 0;
+
+  const inChain = (type) => chosenChain.raws.filter((b) => b.type === type);
+
+  return {
+    bikeId,
+    // available if nothing (not even a turnaround buffer) blocks now
+    isAvailableNow: !blockingNow,
+    nextAvailableDate: nextAvailableDate
+      ? nextAvailableDate.toISOString()
+      : null,
+    currentBooking: currentBooking
+      ? {
+          id: currentBooking.id,
+          customerName: currentBooking.customerName,
+          startDate: currentBooking.startDate,
+          endDate: currentBooking.endDate,
+        }
+      : null,
+    currentMaintenance: currentMaintenance
+      ? {
+          id: currentMaintenance.id,
+          reason: currentMaintenance.reason,
+          startDate: currentMaintenance.startDate,
+          endDate: currentMaintenance.endDate,
+        }
+      : null,
+    // unknown while the bike sits in open-ended maintenance
+    returnInDays:
+      blockingNow && openEnded ? null : Math.ceil(waitMs / MS_PER_DAY),
+    returnInHours:
+      blockingNow && openEnded ? null : Math.ceil(waitMs / MS_PER_HOUR),
+    // blocking bookings: return the bookings that form the chosen chain (for UI)
+    blockingBookings: inChain("BOOKING").map((b) => ({
+      id: b.id,
+      startDate: new Date(b.startDate).toISOString(),
+      endDate: new Date(b.endDate).toISOString(),
+    })),
+    maintenanceWindows: inChain("MAINTENANCE").map((w) => ({
+      id: w.id,
+      reason: w.reason,
+      startDate: new Date(w.startDate).toISOString(),
+      endDate: w.endDate === OPEN_END ? null : w.endDate.toISOString(),
+    })),
+  };
+};
+
+/**
+ * validateNewBooking:
+ * - keeps exact pickup/return times (date-only input means whole days)
+ * - rejects backdated / inverted ranges and bikes outside the org
+ * - runs the overlap check against open bookings, keeping the
+ *   org's turnaround buffer clear on either side, and against
+ *   scheduled maintenance windows
+ * Returns { error: { status, body } } on failure, otherwise
+ * { bike, startDate, endDate, quote }.
+ */
+export const validateNewBooking = async ({
+  orgId,
+  bikeId,
+  startDate: rawStart,
+  endDate: rawEnd,
+}) => {
+  const startDate = parseBookingTime(rawStart, "start");
+  const endDate = parseBookingTime(rawEnd, "end");
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: { status: 400, body: { error: "Invalid dates" } } };
+  }
+
+  // disallow backdates (start before today)
+  if (startDate < today()) {
+    return {
+      error: {
+        status: 400,
+        body: { error: "Start date cannot be in the past" },
+      },
+    };
+  }
+  if (endDate <= startDate) {
+    return {
+      error: {
+        status: 400,
+        body: { error: "End date must be after start date" },
+      },
+    };
+  }
+  const tooLong = rentalLengthError(startDate, endDate);
+  if (tooLong) return { error: { status: 400, body: { error: tooLong } } };
+
+  // Check bike belongs to org
+  const bike = await prisma.bike.findFirst({
+    where: { id: bikeId, organizationId: orgId },
+  });
+  if (!bike) {
+    return { error: { status: 400, body: { error: "Bike not found" } } };
+  }
+
+  // Auto-fix bike status (best-effort)
+  await autoFixBikeStatus(bikeId, orgId);
+
+  // Overlap check — exclude RETURNED bookings
+  const bufferMs = await getBookingBufferMs(orgId);
+  const overlap = await findOverlappingBooking({
+    orgId,
+    bikeId,
+    startDate,
+    endDate,
+    bufferMs,
+  });
+
+  if (overlap) {
+    // compute availability to provide helpful info to frontend
+    const availability = await computeAvailability(bikeId, orgId, bufferMs);
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Bike already booked for selected date range",
+          blockingBooking: overlap,
+          nextAvailableDate: availability.nextAvailableDate,
+          returnInDays: availability.returnInDays,
+          blockingBookings: availability.blockingBookings,
+        },
+      },
+    };
+  }
+
+  const maintenance = await findOverlappingWindow({
+    orgId,
+    bikeId,
+    startDate,
+    endDate,
+  });
+  if (maintenance) {
+    return { error: { status: 400, body: maintenanceConflict(maintenance) } };
+  }
+
+  const quote = await quotePrice({ orgId, bike, startDate, endDate });
+
+  return { bike, startDate, endDate, quote };
+};
+
+/**
+ * Build the Prisma create payload for a validated booking.
+ * Uses the rate-card quote unless staff supplied a total. An optional
+ * up-front payment ({ amount, method, reference, collectedById }) is
+ * written to the ledger in the same insert, and an optional security
+ * deposit ({ amount, method }) is marked HELD. The booking links to
+ * `customer` and keeps the name as entered, defaulting to the profile's.
+ */
+export const buildBookingData = ({
+  orgId,
+  bike,
+  startDate,
+  endDate,
+  quote,
+  customer,
+  customerName,
+  totalAmount,
+  payment,
+  deposit,
+  notes,
+}) => {
+  return {
+    customerName: customerName || customer.name,
+    phone: customer.phone,
+    customerId: customer.id,
+    bikeId: bike.id,
+    startDate,
+    endDate,
+    totalAmount: Number(totalAmount ?? quote.total),
+    priceBreakdown: bookingBreakdown(quote, totalAmount),
+    notes: notes ?? "",
+    status: startDate <= new Date() ? "ACTIVE" : "UPCOMING",
+    organizationId: orgId,
+    ...depositData(deposit),
+    ...(payment && {
+      payments: {
+        create: [
+          {
+            amount: payment.amount,
+            method: payment.method,
+            reference: payment.reference || null,
+            collectedById: payment.collectedById,
+            organizationId: orgId,
+          },
+        ],
+      },
+    }),
+  };
+};
+
+/** Align bike status right after a booking has been created */
+export const syncBikeAfterBooking = async (booking, orgId) => {
+  // If booking starts today or earlier today -> set bike RENTED
+  if (booking.startDate <= new Date()) {
+    await prisma.bike.update({
+      where: { id: booking.bikeId },
+      data: { status: "RENTED" },
+    });
+  } else {
+    await autoFixBikeStatus(booking.bikeId, orgId);
+  }
+};
@@ -0,0 +1,274 @@
+// src/services/customer.service.js
+import prisma from "../config/prisma.js";
+import { normalizePhone } from "../utils/phone.js";
+import { OPEN_BOOKING_STATUSES } from "./booking.service.js";
+import { roundMoney, sumPayments } from "./payment.service.js";
+
+const TEXT_FIELDS = ["address", "idNumber", "licenceNumber", "notes"];
+
+/**
+ * Validate customer profile fields present in `body` (name, phone,
+ * address, idNumber, licenceNumber, licenceExpiry, notes). Name and phone
+ * are required unless `partial`. Returns { data } or { error }.
+ */
+export const parseCustomerInput = (body = {}, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? "").trim();
+    if (!name) return { error: "Customer name is required" };
+    data.name = name;
+  }
+
+  if (body.phone !== undefined || !partial) {
+    const phone = normalizePhone(body.phone);
+    if (!phone) return { error: "Invalid phone number" };
+    data.phone = phone;
+  }
+
+  for (const key of TEXT_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key] || null;
+  }
+
+  if (body.licenceExpiry !== undefined) {
+    if (!body.licenceExpiry) {
+      data.licenceExpiry = null;
+    } else {
+      const expiry = new Date(body.licenceExpiry);
+      if (isNaN(expiry.getTime())) {
+        return { error: "Invalid licenceExpiry" };
+      }
+      data.licenceExpiry = expiry;
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Find the org's customer with this phone or create one. Profile fields
+ * sent along (address, licence, …) are saved; an existing customer keeps
+ * their name so a misspelt booking doesn't rename them. Pass `client` to
+ * run inside a transaction.
+ */
+export const findOrCreateCustomer = ({ client = prisma, orgId, data }) => {
+  const { name, phone, ...profile } = data;
+  return client.customer.upsert({
+    where: { organizationId_phone: { organizationId: orgId, phone } },
+    create: { name, phone, ...profile, organizationId: orgId },
+    update: profile,
+  });
+};
+
+/**
+ * Work out the customer of a new booking from the request body: an
+ * explicit `customerId`, else customerName + phone (plus an optional
+ * `customer` object with profile fields) to link or create by phone.
+ * Returns { customerId } / { data } to pass to linkBookingCustomer, or
+ * { error }.
+ */
+export const parseBookingCustomer = async (body, orgId) => {
+  if (body.customerId) {
+    const customer = await prisma.customer.findFirst({
+      where: { id: body.customerId, organizationId: orgId },
+      select: { id: true },
+    });
+    if (!customer) return { error: "Customer not found" };
+    return { customerId: customer.id };
+  }
+
+  const profile = body.customer || {};
+  return parseCustomerInput({
+    ...profile,
+    name: body.customerName ?? profile.name,
+    phone: body.phone ?? profile.phone,
+  });
+};
+
+/** The customer record for a parsed booking customer (see above) */
+export const linkBookingCustomer = async ({
+  client = prisma,
+  orgId,
+  parsed,
+}) =>
+  parsed.customerId
+    ? client.customer.findUnique({ where: { id: parsed.customerId } })
+    : findOrCreateCustomer({ client, orgId, data: parsed.data });
+
+/**
+ * Lifetime figures for a customer's bookings (loaded with their active
+ * payments): count, total spent (payments received), outstanding balance
+ * and late returns.
+ */
+export const customerStats = (bookings) => {
+  let totalSpent = 0;
+  let outstanding = 0;
+  let lateReturns = 0;
+
+  for (const b of bookings) {
+    const paid = sumPayments(b.payments);
+    totalSpent += paid;
+    outstanding += Math.max(0, b.totalAmount - paid);
+
+    const late =
+      b.status === "OVERDUE" ||
+      (b.returnedAt && new Date(b.returnedAt) > new Date(b.endDate));
+    if (late) lateReturns++;
+  }
+
+  return {
+    bookingCount: bookings.length,
+    activeBookings: bookings.filter((b) =>
+      OPEN_BOOKING_STATUSES.includes(b.status)
+    ).length,
+    totalSpent: roundMoney(totalSpent),
+    outstanding: roundMoney(outstanding),
+    lateReturns,
+    lateFeesCharged: roundMoney(
+      bookings.reduce((sum, b) => sum + (b.lateFee || 0), 0)
+    ),
+    firstBookingAt: bookings.length
+      ? bookings[bookings.length - 1].startDate
+      : null,
+    lastBookingAt: bookings.length ? bookings[0].startDate : null,
+  };
+};
+
+export const FLAG_LEVELS = ["WARNING", "BLACKLIST"];
+export const FLAG_REASONS = ["DAMAGE", "NON_PAYMENT", "LATE_RETURNS", "OTHER"];
+
+/** Validate a new risk flag. Returns { data } or { error }. */
+export const parseFlagInput = (body = {}) => {
+  const level = String(body.level || "").toUpperCase();
+  if (!FLAG_LEVELS.includes(level)) {
+    return { error: `level must be one of ${FLAG_LEVELS.join(", ")}` };
+  }
+
+  const reason = String(body.reason || "").toUpperCase();
+  if (!FLAG_REASONS.includes(reason)) {
+    return { error: `reason must be one of ${FLAG_REASONS.join(", ")}` };
+  }
+
+  if (reason === "OTHER" && !body.note) {
+    return { error: "A note is required when the reason is OTHER" };
+  }
+
+  return { data: { level, reason, note: body.note || null } };
+};
+
+const flagSummary = (f) => ({
+  id: f.id,
+  level: f.level,
+  reason: f.reason,
+  note: f.note,
+  createdAt: f.createdAt,
+  flaggedBy: f.flaggedBy,
+  customer: f.customer,
+});
+
+/**
+ * Gate a booking on the customer's risk flags. Flags on any customer in
+ * the org sharing the id, phone or licence number count, so a banned rider
+ * can't get round the list with a new number.
+ * - BLACKLIST: refused outright (403)
+ * - WARNING: refused (409) unless the caller sends overrideRiskFlags and
+ *   `canOverride` (customers.overrideRisk), with an optional overrideReason
+ * `parsed` is the result of parseBookingCustomer / parseCustomerInput.
+ * Returns { error: { status, body } } or { override }: the RiskOverride
+ * data to record with the booking, null when none was needed.
+ */
+export const checkCustomerRisk = async ({
+  orgId,
+  parsed,
+  account,
+  canOverride,
+  body,
+}) => {
+  let { phone, licenceNumber } = parsed.data || {};
+  if (parsed.customerId) {
+    ({ phone, licenceNumber } = await prisma.customer.findUnique({
+      where: { id: parsed.customerId },
+      select: { phone: true, licenceNumber: true },
+    }));
+  }
+
+  const matches = [
+    parsed.customerId && { id: parsed.customerId },
+    phone && { phone },
+    licenceNumber && { licenceNumber },
+  ].filter(Boolean);
+
+  const flags = await prisma.customerFlag.findMany({
+    where: {
+      clearedAt: null,
+      customer: { organizationId: orgId, OR: matches },
+    },
+    include: {
+      customer: {
+        select: { id: true, name: true, phone: true, licenceNumber: true },
+      },
+      flaggedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const blacklisted = flags.filter((f) => f.level === "BLACKLIST");
+  if (blacklisted.length > 0) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: "Customer is blacklisted",
+          flags: blacklisted.map(flagSummary),
+        },
+      },
+    };
+  }
+
+  if (flags.length === 0) return { override: null };
+
+  if (!body.overrideRiskFlags) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: "Customer has risk flags; an override is needed to book",
+          requiresOverride: true,
+          flags: flags.map(flagSummary),
+        },
+      },
+    };
+  }
+
+  if (!canOverride) {
+    return {
+      error: {
+        status: 403,
+        body: { error: "You don't have permission to override risk flags" },
+      },
+    };
+  }
+
+  return {
+    override: {
+      reason: body.overrideReason || null,
+      flags: flags.map(({ id, level, reason, note }) => ({
+        id,
+        level,
+        reason,
+        note,
+      })),
+      accountId: account.id,
+    },
+  };
+};
+
+/** Record a risk override against the booking it allowed */
+export const recordRiskOverride = ({ client = prisma, override, booking }) =>
+  client.riskOverride.create({
+    data: {
+      ...override,
+      bookingId: booking.id,
+      customerId: booking.customerId,
+    },
+  });
@@ -0,0 +1,78 @@
+// src/services/deposit.service.js
+import { PAYMENT_METHODS, roundMoney } from "./payment.service.js";
+
+/**
+ * Parse a deposit collected with a booking.
+ * Returns { deposit } (null when none was taken) or { error }.
+ */
+export const parseDepositInput = ({ depositAmount, depositMethod }) => {
+  if ([undefined, null, ""].includes(depositAmount)) return { deposit: null };
+
+  const amount = Number(depositAmount);
+  if (isNaN(amount) || amount < 0) {
+    return { error: "Deposit amount must be zero or more" };
+  }
+  if (amount === 0) return { deposit: null };
+
+  const method = String(depositMethod || "CASH").toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    return {
+      error: `Deposit method must be one of ${PAYMENT_METHODS.join(", ")}`,
+    };
+  }
+
+  return { deposit: { amount: roundMoney(amount), method } };
+};
+
+/** Booking fields for a freshly collected deposit */
+export const depositData = (deposit) =>
+  deposit
+    ? {
+        depositAmount: deposit.amount,
+        depositMethod: deposit.method,
+        depositStatus: "HELD",
+        depositCollectedAt: new Date(),
+      }
+    : {};
+
+/**
+ * computeSettlement:
+ * - validates the deductions ({ amount, reason }[]) against the held deposit
+ * - refund = deposit − deductions
+ * - status: REFUNDED (nothing kept), FORFEITED (nothing returned),
+ *   otherwise PARTIALLY_REFUNDED
+ * Returns { error } or { deductions, totalDeducted, refundAmount, status }.
+ */
+export const computeSettlement = (depositAmount, deductionsInput) => {
+  // a JSON client may send null for "no deductions"
+  const rawDeductions = deductionsInput ?? [];
+  if (!Array.isArray(rawDeductions)) {
+    return { error: "Deductions must be a list" };
+  }
+
+  const deductions = [];
+  for (const d of rawDeductions) {
+    const amount = Number(d?.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return { error: "Each deduction needs a positive amount" };
+    }
+    if (!d.reason || !String(d.reason).trim()) {
+      return { error: "Each deduction needs a reason" };
+    }
+    deductions.push({ amount: roundMoney(amount), reason: String(d.reason) });
+  }
+
+  const totalDeducted = roundMoney(
+    deductions.reduce((sum, d) => sum + d.amount, 0)
+  );
+  if (totalDeducted > depositAmount) {
+    return { error: "Deductions exceed the deposit held" };
+  }
+
+  const refundAmount = roundMoney(depositAmount - totalDeducted);
+  let status = "PARTIALLY_REFUNDED";
+  if (totalDeducted === 0) status = "REFUNDED";
+  else if (refundAmount === 0) status = "FORFEITED";
+
+  return { deductions, totalDeducted, refundAmount, status };
+};
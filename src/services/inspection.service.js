@@ -0,0 +1,143 @@
+// src/services/inspection.service.js
+import { parseOdometer } from "./servicing.service.js";
+
+/** Checklist areas a pickup / return inspection walks through */
+export const DAMAGE_AREAS = [
+  "body",
+  "front_tyre",
+  "rear_tyre",
+  "headlight",
+  "tail_light",
+  "indicators",
+  "mirrors",
+  "seat",
+  "brakes",
+  "handlebar",
+  "engine",
+  "keys",
+  "other",
+];
+
+/** Damage severities, least to most serious */
+export const DAMAGE_SEVERITIES = ["none", "minor", "major"];
+
+export const PHOTO_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+};
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+export const photoInclude = {
+  photos: {
+    select: {
+      id: true,
+      contentType: true,
+      size: true,
+      area: true,
+      caption: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+/**
+ * Validate inspection input: odometerKm, fuelLevelPct (0–100),
+ * helmetCount, damage [{ area, severity, note }] and notes.
+ * Returns { data } or { error }.
+ */
+export const parseInspectionInput = (body = {}) => {
+  const odometer = parseOdometer(body.odometerKm);
+  if (odometer.error) return { error: odometer.error };
+
+  let fuelLevelPct = null;
+  if (body.fuelLevelPct !== undefined && body.fuelLevelPct !== null) {
+    fuelLevelPct = Number(body.fuelLevelPct);
+    if (
+      !Number.isInteger(fuelLevelPct) ||
+      fuelLevelPct < 0 ||
+      fuelLevelPct > 100
+    ) {
+      return { error: "fuelLevelPct must be a whole number from 0 to 100" };
+    }
+  }
+
+  const helmetCount =
+    body.helmetCount === undefined ? 0 : Number(body.helmetCount);
+  if (!Number.isInteger(helmetCount) || helmetCount < 0) {
+    return { error: "helmetCount must be zero or more" };
+  }
+
+  const rawDamage = body.damage ?? [];
+  if (!Array.isArray(rawDamage)) return { error: "damage must be a list" };
+
+  const damage = [];
+  for (const item of rawDamage) {
+    if (!DAMAGE_AREAS.includes(item?.area)) {
+      return {
+        error: `Damage area must be one of ${DAMAGE_AREAS.join(", ")}`,
+      };
+    }
+    const severity = item.severity || "minor";
+    if (!DAMAGE_SEVERITIES.includes(severity)) {
+      return {
+        error: `Damage severity must be one of ${DAMAGE_SEVERITIES.join(", ")}`,
+      };
+    }
+    if (item.area === "other" && !item.note) {
+      return { error: "Describe damage marked as other" };
+    }
+    damage.push({ area: item.area, severity, note: item.note || null });
+  }
+
+  return {
+    data: {
+      odometerKm: odometer.km ?? null,
+      fuelLevelPct,
+      helmetCount,
+      damage,
+      notes: body.notes || null,
+    },
+  };
+};
+
+const rank = (severity) => DAMAGE_SEVERITIES.indexOf(severity ?? "none");
+
+// "other" entries are told apart by their note
+const damageKey = (d) => (d.area === "other" ? `other:${d.note}` : d.area);
+
+/**
+ * Compare the return inspection with the pickup one. New damage is any
+ * area that is worse at return than at pickup; also reports missing
+ * helmets, the fuel drop and the distance ridden when both sides have it.
+ */
+export const compareInspections = (checkout, checkin) => {
+  if (!checkout || !checkin) return null;
+
+  const before = new Map((checkout.damage || []).map((d) => [damageKey(d), d]));
+
+  const newDamage = (checkin.damage || [])
+    .filter((d) => rank(d.severity) > rank(before.get(damageKey(d))?.severity))
+    .map((d) => ({
+      area: d.area,
+      before: before.get(damageKey(d))?.severity ?? "none",
+      after: d.severity,
+      note: d.note,
+    }));
+
+  const both = (key) => checkout[key] != null && checkin[key] != null;
+
+  return {
+    newDamage,
+    hasNewDamage: newDamage.length > 0,
+    helmetsMissing: Math.max(0, checkout.helmetCount - checkin.helmetCount),
+    fuelDropPct: both("fuelLevelPct")
+      ? checkout.fuelLevelPct - checkin.fuelLevelPct
+      : null,
+    distanceKm: both("odometerKm")
+      ? checkin.odometerKm - checkout.odometerKm
+      : null,
+  };
+};
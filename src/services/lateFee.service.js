@@ -0,0 +1,79 @@
+// src/services/lateFee.service.js
+import prisma from "../config/prisma.js";
+import { MS_PER_HOUR, MS_PER_MINUTE } from "../utils/dates.js";
+import { roundMoney } from "./payment.service.js";
+import { quotePrice } from "./pricing.service.js";
+
+/**
+ * computeLateFee:
+ * - nothing is owed when the bike is back within the org's grace period
+ * - past grace, lateness counts from the scheduled end (grace is a
+ *   threshold, not a discount)
+ * - org penalty rates: whole days at the daily rate, leftover hours at the
+ *   hourly rate capped at one day; with only one rate set, that rate is
+ *   used for everything
+ * - no penalty rates → the bike's normal rental price for the extra time
+ * Returns { lateMinutes, fee, lineItem } (lineItem null when not late).
+ */
+export const computeLateFee = async ({ booking, bike, orgId, returnedAt }) => {
+  const org = await prisma.organization.findUnique({
+    where: { id: orgId },
+    select: {
+      lateGraceMinutes: true,
+      lateFeeHourlyRate: true,
+      lateFeeDailyRate: true,
+    },
+  });
+
+  const scheduledEnd = new Date(booking.endDate);
+  const lateMs = returnedAt.getTime() - scheduledEnd.getTime();
+  const lateMinutes = Math.max(0, Math.ceil(lateMs / MS_PER_MINUTE));
+
+  if (lateMinutes <= (org?.lateGraceMinutes || 0)) {
+    return { lateMinutes, fee: 0, lineItem: null };
+  }
+
+  const hours = Math.ceil(lateMs / MS_PER_HOUR);
+  const hourly = org?.lateFeeHourlyRate;
+  const daily = org?.lateFeeDailyRate;
+
+  let fee;
+  let basis;
+  if (hourly || daily) {
+    const days = Math.floor(hours / 24);
+    const rest = hours % 24;
+    if (daily && hourly) {
+      fee = days * daily + Math.min(rest * hourly, daily);
+    } else if (daily) {
+      fee = (days + (rest ? 1 : 0)) * daily;
+    } else {
+      fee = hours * hourly;
+    }
+    basis = { hourlyRate: hourly ?? null, dailyRate: daily ?? null };
+  } else {
+    const quote = await quotePrice({
+      orgId,
+      bike,
+      startDate: scheduledEnd,
+      endDate: returnedAt,
+    });
+    fee = quote.total;
+    basis = { rateCard: quote.rateCard, lineItems: quote.lineItems };
+  }
+
+  fee = roundMoney(fee);
+
+  return {
+    lateMinutes,
+    fee,
+    lineItem: {
+      type: "LATE_FEE",
+      unit: "HOUR",
+      quantity: hours,
+      amount: fee,
+      scheduledEnd: scheduledEnd.toISOString(),
+      returnedAt: returnedAt.toISOString(),
+      basis,
+    },
+  };
+};
@@ -0,0 +1,58 @@
+// src/services/loginGuard.service.js
+import prisma from "../config/prisma.js";
+
+// failures allowed before the first lock
+export const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lock length after `failures` consecutive failures: none up to the
+ * threshold, then 1 min, 2 min, 4 min, … capped at a day.
+ */
+export const lockDurationMs = (failures) =>
+  failures < LOCKOUT_THRESHOLD
+    ? 0
+    : Math.min(BASE_LOCK_MS * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK_MS);
+
+export const isLocked = (account, now = new Date()) =>
+  !!account.lockedUntil && account.lockedUntil > now;
+
+/** Count a bad password; returns the lock end, or null while under threshold */
+export async function recordLoginFailure(account) {
+  const { failedLoginCount } = await prisma.account.update({
+    where: { id: account.id },
+    data: { failedLoginCount: { increment: 1 } },
+    select: { failedLoginCount: true },
+  });
+
+  const ms = lockDurationMs(failedLoginCount);
+  if (!ms) return null;
+
+  const lockedUntil = new Date(Date.now() + ms);
+  await prisma.account.update({
+    where: { id: account.id },
+    data: { lockedUntil },
+  });
+  return lockedUntil;
+}
+
+export const clearLoginFailures = (accountId) =>
+  prisma.account.update({
+    where: { id: accountId },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+
+/** Log an attempt; `account` is null when the email matched nobody */
+export const logLoginAttempt = ({ req, email, account, success, reason }) =>
+  prisma.loginAttempt.create({
+    data: {
+      email: String(email),
+      success,
+      reason: reason || null,
+      ip: req.ip || null,
+      userAgent: req.headers["user-agent"]?.slice(0, 255) || null,
+      accountId: account?.id || null,
+      organizationId: account?.organizationId || null,
+    },
+  });
@@ -0,0 +1,114 @@
+// src/services/maintenance.service.js
+import prisma from "../config/prisma.js";
+import { parseBookingTime } from "../utils/dates.js";
+
+/** Prisma filter for maintenance windows overlapping [startDate, endDate] */
+export const windowOverlapFilter = ({ startDate, endDate }) => ({
+  startDate: { lt: endDate },
+  OR: [{ endDate: null }, { endDate: { gt: startDate } }],
+});
+
+/** Prisma filter for maintenance windows in force at `now` */
+export const activeWindowFilter = (now = new Date()) => ({
+  startDate: { lte: now },
+  OR: [{ endDate: null }, { endDate: { gt: now } }],
+});
+
+/** First maintenance window on the bike that overlaps [startDate, endDate] */
+export const findOverlappingWindow = ({
+  orgId,
+  bikeId,
+  startDate,
+  endDate,
+  excludeId,
+}) =>
+  prisma.maintenanceWindow.findFirst({
+    where: {
+      bikeId,
+      organizationId: orgId,
+      ...(excludeId && { id: { not: excludeId } }),
+      ...windowOverlapFilter({ startDate, endDate }),
+    },
+    orderBy: { startDate: "asc" },
+  });
+
+/** Response body for a request that runs into a maintenance window */
+export const maintenanceConflict = (window) => ({
+  error: "Bike is scheduled for maintenance during the selected period",
+  maintenanceWindow: {
+    id: window.id,
+    startDate: window.startDate,
+    endDate: window.endDate,
+    reason: window.reason,
+  },
+});
+
+/**
+ * Validate maintenance window input. startDate and endDate are required
+ * unless `partial`; date-only values cover whole days like bookings do.
+ * Returns { data } or { error }.
+ */
+export const parseWindowInput = (body, { partial = false } = {}) => {
+  const data = {};
+
+  for (const [key, bound] of [
+    ["startDate", "start"],
+    ["endDate", "end"],
+  ]) {
+    if (body[key] === undefined || body[key] === null || body[key] === "") {
+      if (!partial) return { error: `${key} is required` };
+      continue;
+    }
+    const date = parseBookingTime(body[key], bound);
+    if (isNaN(date.getTime())) return { error: `Invalid ${key}` };
+    data[key] = date;
+  }
+
+  for (const key of ["reason", "workshop"]) {
+    if (body[key] !== undefined) data[key] = body[key] || null;
+  }
+
+  if (body.cost !== undefined) {
+    if (body.cost === null || body.cost === "") {
+      data.cost = null;
+    } else {
+      const cost = Number(body.cost);
+      if (isNaN(cost) || cost < 0) {
+        return { error: "cost must be zero or more" };
+      }
+      data.cost = cost;
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Put a bike into maintenance from now on, with no planned end, unless a
+ * window is already in force. Returns the window covering now.
+ */
+export const startMaintenanceNow = async (bike, { reason } = {}) => {
+  const now = new Date();
+  const current = await prisma.maintenanceWindow.findFirst({
+    where: { bikeId: bike.id, ...activeWindowFilter(now) },
+  });
+  if (current) return current;
+
+  return prisma.maintenanceWindow.create({
+    data: {
+      bikeId: bike.id,
+      organizationId: bike.organizationId,
+      startDate: now,
+      reason: reason || "Manual",
+    },
+  });
+};
+
+/** Close every maintenance window in force on the bike as of now */
+export const endMaintenanceNow = async (bikeId) => {
+  const now = new Date();
+  return prisma.maintenanceWindow.updateMany({
+    where: { bikeId, ...activeWindowFilter(now) },
+    data: { endDate: now },
+  });
+};
@@ -0,0 +1,58 @@
+// src/services/notification.service.js
+import fs from "fs/promises";
+import path from "path";
+import env from "../config/env.js";
+
+/**
+ * Outgoing mail/SMS behind a small interface so a real provider can be
+ * plugged in without touching callers. A driver implements:
+ *   send({ channel, to, subject, text }) → Promise<void>
+ * where channel is "email" or "sms" (subject is ignored for sms).
+ * The built-in drivers only stand in for local runs; with NODE_ENV=production
+ * NOTIFY_DRIVER has no default and getNotifier refuses to send until it's set.
+ */
+const drivers = {
+  console: () => ({
+    send: async ({ channel, to, subject, text }) => {
+      console.log(
+        `[${channel} → ${to}] ${subject ? subject + ": " : ""}${text}`
+      );
+    },
+  }),
+
+  // one JSON line per message, for tests and local inspection
+  file: () => {
+    const file = path.resolve(env.OUTBOX_FILE);
+    return {
+      send: async (message) => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(
+          file,
+          JSON.stringify({ ...message, sentAt: new Date() }) + "\n"
+        );
+      },
+    };
+  },
+};
+
+/** Make another provider (SMTP, SES, Twilio, …) selectable via NOTIFY_DRIVER */
+export const registerNotificationDriver = (name, factory) => {
+  drivers[name] = factory;
+  instance = null;
+};
+
+let instance = null;
+
+export const getNotifier = () => {
+  if (!instance) {
+    if (!env.NOTIFY_DRIVER) {
+      throw new Error("NOTIFY_DRIVER must be set in production");
+    }
+    const factory = drivers[env.NOTIFY_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown notification driver: ${env.NOTIFY_DRIVER}`);
+    }
+    instance = factory();
+  }
+  return instance;
+};
@@ -0,0 +1,96 @@
+// src/services/password.service.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+import { getNotifier } from "./notification.service.js";
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// wrong guesses before a reset code is burnt
+export const MAX_RESET_ATTEMPTS = 5;
+
+export const RESET_CHANNELS = ["email", "sms"];
+
+/** Rules for new passwords; returns an error message or null */
+export const passwordError = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+export const hashPassword = (password) => bcrypt.hash(password, 10);
+
+// bcrypt of a throwaway string: a login for an unknown email is compared
+// against it so the miss costs the same as a wrong password
+export const DUMMY_PASSWORD_HASH =
+  "$2b$10$2Myz3I.MsrW88ficz.hNeOT9d.aq7bWXEIOFJZ5gB3AittExCQKYa";
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+/**
+ * Issue a 6-digit reset code and send it. SMS needs a phone on the
+ * account; without one the code goes by email. Earlier unused codes are
+ * dropped so only the latest works.
+ */
+export async function sendResetCode(account, channel = "email") {
+  // resolve the driver first: no code is stored if nothing can send it
+  const notifier = getNotifier();
+  const via = channel === "sms" && account.phone ? "sms" : "email";
+  const code = crypto.randomInt(0, 1_000_000).toString().padStart(6, "0");
+  const minutes = env.PASSWORD_RESET_TTL_MINUTES;
+
+  await prisma.$transaction([
+    prisma.passwordReset.deleteMany({
+      where: { accountId: account.id, usedAt: null },
+    }),
+    prisma.passwordReset.create({
+      data: {
+        accountId: account.id,
+        codeHash: hashCode(code),
+        channel: via,
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      },
+    }),
+  ]);
+
+  await notifier.send({
+    channel: via,
+    to: via === "sms" ? account.phone : account.email,
+    subject: "Password reset code",
+    text: `Your password reset code is ${code}. It expires in ${minutes} minutes.`,
+  });
+
+  return via;
+}
+
+/**
+ * Check a reset code against the account's live one. Each wrong guess
+ * counts; after MAX_RESET_ATTEMPTS the code stops working.
+ * Returns the PasswordReset row, or null.
+ */
+export async function checkResetCode(accountId, code) {
+  const reset = await prisma.passwordReset.findFirst({
+    where: {
+      accountId,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: MAX_RESET_ATTEMPTS },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!reset) return null;
+
+  const presented = Buffer.from(hashCode(String(code)));
+  if (!crypto.timingSafeEqual(presented, Buffer.from(reset.codeHash))) {
+    await prisma.passwordReset.update({
+      where: { id: reset.id },
+      data: { attempts: { increment: 1 } },
+    });
+    return null;
+  }
+
+  return reset;
+}
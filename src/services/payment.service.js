@@ -0,0 +1,76 @@
+// src/services/payment.service.js
+
+export const PAYMENT_METHODS = ["CASH", "UPI", "CARD"];
+
+/** Round to paise so float sums don't leave 0.0000001 balances */
+export const roundMoney = (n) => Math.round(n * 100) / 100;
+
+/** Prisma include for the non-voided payments of a booking */
+export const activePaymentsInclude = {
+  payments: { where: { voidedAt: null }, select: { amount: true } },
+};
+
+/** Sum of non-voided payments */
+export const sumPayments = (payments = []) =>
+  roundMoney(
+    payments.filter((p) => !p.voidedAt).reduce((sum, p) => sum + p.amount, 0)
+  );
+
+/**
+ * Decorate a booking loaded with `activePaymentsInclude` with its
+ * ledger totals. The raw payments list is dropped from the response.
+ */
+export const withBalance = (booking) => {
+  if (!booking) return booking;
+  const { payments, ...rest } = booking;
+  const paidAmount = sumPayments(payments);
+  return {
+    ...rest,
+    paidAmount,
+    balanceDue: roundMoney(booking.totalAmount - paidAmount),
+  };
+};
+
+/**
+ * Validate a payment input. Returns { error } or { amount, method }.
+ * Method defaults to CASH, the common case at the counter.
+ */
+export const parsePaymentInput = ({ amount, method }) => {
+  const value = Number(amount);
+  if (amount === undefined || isNaN(value) || value <= 0) {
+    return { error: "Amount must be a positive number" };
+  }
+
+  const m = String(method || "CASH").toUpperCase();
+  if (!PAYMENT_METHODS.includes(m)) {
+    return { error: `Method must be one of ${PAYMENT_METHODS.join(", ")}` };
+  }
+
+  return { amount: roundMoney(value), method: m };
+};
+
+/**
+ * Parse the optional up-front payment sent with a new booking.
+ * Returns { payment } (null when nothing was paid) or { error }.
+ */
+export const parseInitialPayment = (body, accountId) => {
+  const { paidAmount, paymentMethod, paymentReference } = body;
+  if ([undefined, null, ""].includes(paidAmount) || Number(paidAmount) === 0) {
+    return { payment: null };
+  }
+
+  const parsed = parsePaymentInput({
+    amount: paidAmount,
+    method: paymentMethod,
+  });
+  if (parsed.error) return { error: parsed.error };
+
+  return {
+    payment: {
+      amount: parsed.amount,
+      method: parsed.method,
+      reference: paymentReference,
+      collectedById: accountId,
+    },
+  };
+};
@@ -0,0 +1,58 @@
+// src/services/permission.service.js
+import prisma from "../config/prisma.js";
+import {
+  ALL_PERMISSIONS,
+  DEFAULT_STAFF_PERMISSIONS,
+  isGrantable,
+  isPermission,
+} from "../utils/permissions.js";
+
+/**
+ * Permissions an account holds.
+ * - ADMIN: everything, always — the matrix can't lock admins out.
+ * - custom role assigned: exactly that role's permissions.
+ * - STAFF: the org's "STAFF" OrgRole row, or the defaults if it has none.
+ * Unknown keys (e.g. a permission since removed) and admin-only ones are
+ * dropped.
+ */
+export async function resolvePermissions(account, client = prisma) {
+  if (account.role === "ADMIN") return [...ALL_PERMISSIONS];
+
+  const role = account.customRoleId
+    ? await client.orgRole.findFirst({
+        where: {
+          id: account.customRoleId,
+          organizationId: account.organizationId,
+        },
+      })
+    : await client.orgRole.findUnique({
+        where: {
+          organizationId_name: {
+            organizationId: account.organizationId,
+            name: "STAFF",
+          },
+        },
+      });
+
+  if (!role) return [...DEFAULT_STAFF_PERMISSIONS];
+  return role.permissions.filter(isGrantable);
+}
+
+/**
+ * Validate a permissions array from a request body. Returns the de-duplicated
+ * list, or { error } naming the first unknown or admin-only key.
+ */
+export function parsePermissions(value) {
+  if (!Array.isArray(value)) {
+    return { error: "permissions must be an array" };
+  }
+  const unknown = value.find((p) => !isPermission(p));
+  if (unknown !== undefined) {
+    return { error: `Unknown permission: ${unknown}` };
+  }
+  const reserved = value.find((p) => !isGrantable(p));
+  if (reserved !== undefined) {
+    return { error: `${reserved} is reserved for admins` };
+  }
+  return { permissions: [...new Set(value)] };
+}
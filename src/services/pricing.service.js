@@ -0,0 +1,304 @@
+// src/services/pricing.service.js
+import prisma from "../config/prisma.js";
+import { MS_PER_DAY, MS_PER_HOUR, startOfDay } from "../utils/dates.js";
+import { roundMoney } from "./payment.service.js";
+
+const TIERS = [
+  { key: "monthlyRate", unit: "MONTH", days: 30 },
+  { key: "weeklyRate", unit: "WEEK", days: 7 },
+  { key: "dailyRate", unit: "DAY", days: 1 },
+];
+
+const isWeekend = (d) => d.getDay() === 0 || d.getDay() === 6;
+
+// longest rental that can be quoted or booked; pricing is linear in days
+export const MAX_RENTAL_DAYS = 365;
+
+/** Error message when [startDate, endDate] is longer than MAX_RENTAL_DAYS */
+export const rentalLengthError = (startDate, endDate) =>
+  endDate.getTime() - startDate.getTime() > MAX_RENTAL_DAYS * MS_PER_DAY
+    ? `Rentals can be at most ${MAX_RENTAL_DAYS} days`
+    : null;
+
+/**
+ * Load what pricing needs for a window in one go: the org's active rate
+ * cards (with seasons) and its holidays. Pass the result to quotePrice as
+ * `context` when quoting many bikes for the same window.
+ */
+export const loadPricingContext = async (orgId, startDate, endDate) => {
+  const cards = await prisma.rateCard.findMany({
+    where: { organizationId: orgId, active: true },
+    include: { seasons: true },
+    orderBy: { updatedAt: "desc" },
+  });
+
+  const holidays = await prisma.holiday.findMany({
+    where: {
+      organizationId: orgId,
+      date: { gte: startOfDay(startDate), lte: endDate },
+    },
+  });
+
+  return { cards, holidays };
+};
+
+/**
+ * Pick the rate card for a bike: bike-specific → category → org-wide.
+ * Bikes with no card get a synthetic one built from Bike.dailyRate.
+ */
+export const pickRateCard = (bike, cards) => {
+  const card =
+    cards.find((c) => c.bikeId === bike.id) ||
+    (bike.category &&
+      cards.find((c) => !c.bikeId && c.category === bike.category)) ||
+    cards.find((c) => !c.bikeId && !c.category);
+
+  if (card) return card;
+
+  return {
+    id: null,
+    name: "Bike daily rate",
+    hourlyRate: null,
+    dailyRate: bike.dailyRate || 0,
+    weeklyRate: null,
+    monthlyRate: null,
+    weekendSurchargePct: 0,
+    holidaySurchargePct: 0,
+    seasons: [],
+  };
+};
+
+/**
+ * Cheapest combination of month/week/day units covering `days`.
+ * Unbounded min-cost cover, so 6 days can come out as one week when the
+ * weekly rate is lower than 6 × daily.
+ */
+const priceDays = (days, rates) => {
+  const tiers = TIERS.filter((t) => rates[t.key] != null);
+  const cost = new Array(days + 1).fill(Infinity);
+  const pick = new Array(days + 1).fill(null);
+  cost[0] = 0;
+
+  for (let i = 1; i <= days; i++) {
+    for (const t of tiers) {
+      const c = cost[Math.max(0, i - t.days)] + rates[t.key];
+      if (c < cost[i]) {
+        cost[i] = c;
+        pick[i] = t;
+      }
+    }
+  }
+
+  const counts = {};
+  for (let i = days; i > 0; i = Math.max(0, i - pick[i].days)) {
+    counts[pick[i].unit] = (counts[pick[i].unit] || 0) + 1;
+  }
+
+  return tiers
+    .filter((t) => counts[t.unit])
+    .map((t) => ({
+      unit: t.unit,
+      quantity: counts[t.unit],
+      unitPrice: rates[t.key],
+      amount: roundMoney(counts[t.unit] * rates[t.key]),
+    }));
+};
+
+/**
+ * Card tiers with a season's overrides applied on top. A season that
+ * changes the daily rate doesn't inherit the card's longer tiers — those
+ * were discounted against the old daily rate and would undercut it.
+ */
+const ratesFor = (card, season) => {
+  const inherit = season?.dailyRate == null;
+  const rates = {};
+  for (const key of ["hourlyRate", "dailyRate", "weeklyRate", "monthlyRate"]) {
+    rates[key] = season?.[key] ?? (inherit ? card[key] : null) ?? null;
+  }
+  if (rates.dailyRate == null) rates.dailyRate = card.dailyRate;
+  return rates;
+};
+
+const seasonOn = (seasons, day) =>
+  seasons.find(
+    (s) => startOfDay(s.startDate) <= day && day <= new Date(s.endDate)
+  ) || null;
+
+/** Split the rental's 24h periods into runs that share the same season */
+const segmentBySeason = (start, days, seasons) => {
+  const segments = [];
+  for (let i = 0; i < days; i++) {
+    const day = startOfDay(new Date(start.getTime() + i * MS_PER_DAY));
+    const season = seasonOn(seasons, day);
+
+    const last = segments[segments.length - 1];
+    if (last && last.season?.id === season?.id) {
+      last.days.push(day);
+    } else {
+      segments.push({ season, days: [day] });
+    }
+  }
+  return segments;
+};
+
+/**
+ * quotePrice:
+ * - resolves the rate card for the bike
+ * - splits the rental into whole 24h periods plus leftover hours; leftover
+ *   hours are charged hourly when that's cheaper than one more day
+ * - prices each seasonal segment with the cheapest tier mix
+ * - adds weekend / holiday surcharges on the segment's per-day rate
+ *   (a holiday that falls on a weekend only gets the holiday surcharge)
+ * Returns an itemized breakdown; `total` is what the booking should cost.
+ */
+export const quotePrice = async ({
+  orgId,
+  bike,
+  startDate,
+  endDate,
+  context,
+}) => {
+  const { cards, holidays } =
+    context || (await loadPricingContext(orgId, startDate, endDate));
+  const card = pickRateCard(bike, cards);
+
+  const durationMs = endDate.getTime() - startDate.getTime();
+  let days = Math.floor(durationMs / MS_PER_DAY);
+  let hours = Math.ceil((durationMs - days * MS_PER_DAY) / MS_PER_HOUR);
+  if (hours >= 24) {
+    days += 1;
+    hours = 0;
+  }
+
+  let tail = null;
+  if (hours) {
+    const tailStart = new Date(startDate.getTime() + days * MS_PER_DAY);
+    const season = seasonOn(card.seasons, startOfDay(tailStart));
+    const rates = ratesFor(card, season);
+    if (
+      rates.hourlyRate != null &&
+      hours * rates.hourlyRate < rates.dailyRate
+    ) {
+      tail = { day: startOfDay(tailStart), season, rates };
+    } else {
+      days += 1;
+      hours = 0;
+    }
+  }
+
+  const holidayByDay = new Map(
+    holidays.map((h) => [startOfDay(h.date).getTime(), h])
+  );
+
+  const lineItems = [];
+
+  for (const segment of segmentBySeason(startDate, days, card.seasons)) {
+    const rates = ratesFor(card, segment.season);
+    const base = priceDays(segment.days.length, rates);
+    const baseTotal = base.reduce((sum, i) => sum + i.amount, 0);
+    const perDay = baseTotal / segment.days.length;
+
+    for (const item of base) {
+      lineItems.push({
+        type: "BASE",
+        season: segment.season?.name || null,
+        ...item,
+      });
+    }
+
+    let weekendDays = 0;
+    const holidayNames = [];
+    for (const day of segment.days) {
+      const holiday = holidayByDay.get(day.getTime());
+      if (holiday && card.holidaySurchargePct) holidayNames.push(holiday.name);
+      else if (isWeekend(day) && card.weekendSurchargePct) weekendDays++;
+    }
+
+    if (weekendDays) {
+      const unitPrice = roundMoney((perDay * card.weekendSurchargePct) / 100);
+      lineItems.push({
+        type: "WEEKEND_SURCHARGE",
+        season: segment.season?.name || null,
+        unit: "DAY",
+        quantity: weekendDays,
+        unitPrice,
+        amount: roundMoney(unitPrice * weekendDays),
+      });
+    }
+
+    if (holidayNames.length) {
+      const unitPrice = roundMoney((perDay * card.holidaySurchargePct) / 100);
+      lineItems.push({
+        type: "HOLIDAY_SURCHARGE",
+        season: segment.season?.name || null,
+        unit: "DAY",
+        quantity: holidayNames.length,
+        unitPrice,
+        amount: roundMoney(unitPrice * holidayNames.length),
+        holidays: holidayNames,
+      });
+    }
+  }
+
+  if (tail) {
+    const amount = roundMoney(hours * tail.rates.hourlyRate);
+    const season = tail.season?.name || null;
+    lineItems.push({
+      type: "BASE",
+      season,
+      unit: "HOUR",
+      quantity: hours,
+      unitPrice: tail.rates.hourlyRate,
+      amount,
+    });
+
+    const holiday = holidayByDay.get(tail.day.getTime());
+    if (holiday && card.holidaySurchargePct) {
+      lineItems.push({
+        type: "HOLIDAY_SURCHARGE",
+        season,
+        unit: "HOUR",
+        quantity: hours,
+        unitPrice: roundMoney(
+          (tail.rates.hourlyRate * card.holidaySurchargePct) / 100
+        ),
+        amount: roundMoney((amount * card.holidaySurchargePct) / 100),
+        holidays: [holiday.name],
+      });
+    } else if (isWeekend(tail.day) && card.weekendSurchargePct) {
+      lineItems.push({
+        type: "WEEKEND_SURCHARGE",
+        season,
+        unit: "HOUR",
+        quantity: hours,
+        unitPrice: roundMoney(
+          (tail.rates.hourlyRate * card.weekendSurchargePct) / 100
+        ),
+        amount: roundMoney((amount * card.weekendSurchargePct) / 100),
+      });
+    }
+  }
+
+  const total = roundMoney(lineItems.reduce((sum, i) => sum + i.amount, 0));
+
+  return {
+    rateCard: { id: card.id, name: card.name },
+    startDate,
+    endDate,
+    days,
+    hours,
+    lineItems,
+    total,
+  };
+};
+
+/**
+ * Breakdown to persist on a booking. A staff-entered total that differs
+ * from the quote is kept alongside it so the discount stays visible.
+ */
+export const bookingBreakdown = (quote, totalAmount) => {
+  if (totalAmount === undefined || totalAmount === null) return quote;
+  const amount = Number(totalAmount);
+  if (amount === quote.total) return quote;
+  return { ...quote, manualTotal: amount };
+};
@@ -0,0 +1,216 @@
+// src/services/servicing.service.js
+import prisma from "../config/prisma.js";
+import { MS_PER_DAY } from "../utils/dates.js";
+
+// default "due soon" horizon when the caller doesn't pass one
+export const DUE_SOON_KM = 300;
+export const DUE_SOON_DAYS = 7;
+
+/**
+ * Validate an odometer value (whole km, ≥ 0). Missing input is fine and
+ * yields { km: undefined }. Returns { km } or { error }.
+ */
+export const parseOdometer = (raw, field = "odometerKm") => {
+  if (raw === undefined || raw === null || raw === "") return { km: undefined };
+  const km = Number(raw);
+  if (!Number.isInteger(km) || km < 0) {
+    return { error: `${field} must be a whole number of km` };
+  }
+  return { km };
+};
+
+/** Error message when `km` would wind the bike's odometer back, else null */
+export const odometerRollbackError = (bike, km) =>
+  bike.odometerKm != null && km < bike.odometerKm
+    ? `Odometer reading cannot be lower than the last recorded ${bike.odometerKm} km`
+    : null;
+
+/**
+ * Store an odometer reading and move Bike.odometerKm forward. Pass `client`
+ * to run inside a transaction.
+ */
+export const recordOdometer = async ({
+  client = prisma,
+  bike,
+  km,
+  source,
+  bookingId,
+  accountId,
+  recordedAt,
+}) => {
+  const reading = await client.odometerReading.create({
+    data: {
+      km,
+      source,
+      bikeId: bike.id,
+      bookingId: bookingId || null,
+      recordedById: accountId || null,
+      organizationId: bike.organizationId,
+      ...(recordedAt && { recordedAt }),
+    },
+  });
+
+  if (bike.odometerKm == null || km > bike.odometerKm) {
+    await client.bike.update({
+      where: { id: bike.id },
+      data: { odometerKm: km },
+    });
+  }
+
+  return reading;
+};
+
+/**
+ * Pick serviceIntervalKm / serviceIntervalDays from `body`: positive whole
+ * numbers, or null to fall back to the org default. Returns { data } or
+ * { error }.
+ */
+export const parseServiceIntervals = (body) => {
+  const data = {};
+  for (const key of ["serviceIntervalKm", "serviceIntervalDays"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === "") {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n <= 0) {
+      return { error: `${key} must be a positive whole number` };
+    }
+    data[key] = n;
+  }
+  return { data };
+};
+
+/** Validate a parts list: [{ name, quantity?, cost? }] or a list of names */
+export const parseParts = (parts) => {
+  if (parts === undefined || parts === null) return { parts: undefined };
+  if (!Array.isArray(parts)) return { error: "parts must be a list" };
+
+  const out = [];
+  for (const p of parts) {
+    const item = typeof p === "string" ? { name: p } : p;
+    if (!item?.name) return { error: "Each part needs a name" };
+
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    const cost = item.cost === undefined ? null : Number(item.cost);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: "Part quantity must be a positive whole number" };
+    }
+    if (cost !== null && (isNaN(cost) || cost < 0)) {
+      return { error: "Part cost must be zero or more" };
+    }
+    out.push({ name: String(item.name), quantity, cost });
+  }
+  return { parts: out };
+};
+
+/**
+ * Service state of one bike. The baseline is its last service, else its
+ * first odometer reading, else when it joined the fleet at 0 km.
+ * status: OVERDUE past either limit, DUE within the horizon, OK otherwise,
+ * or NO_INTERVAL when neither the bike nor the org sets one.
+ */
+export const computeServiceDue = ({
+  bike,
+  org,
+  lastService,
+  firstReading,
+  now = new Date(),
+  withinKm = DUE_SOON_KM,
+  withinDays = DUE_SOON_DAYS,
+}) => {
+  const intervalKm = bike.serviceIntervalKm ?? org?.serviceIntervalKm ?? null;
+  const intervalDays =
+    bike.serviceIntervalDays ?? org?.serviceIntervalDays ?? null;
+
+  const baseDate =
+    lastService?.date ?? firstReading?.recordedAt ?? bike.createdAt;
+  const baseKm = lastService?.odometerKm ?? firstReading?.km ?? 0;
+
+  let dueAtKm = null;
+  let kmRemaining = null;
+  if (intervalKm) {
+    dueAtKm = baseKm + intervalKm;
+    kmRemaining = bike.odometerKm != null ? dueAtKm - bike.odometerKm : null;
+  }
+
+  let dueDate = null;
+  let daysRemaining = null;
+  if (intervalDays) {
+    dueDate = new Date(
+      new Date(baseDate).getTime() + intervalDays * MS_PER_DAY
+    );
+    daysRemaining = Math.floor((dueDate - now) / MS_PER_DAY);
+  }
+
+  const overdue =
+    (kmRemaining !== null && kmRemaining <= 0) || (dueDate && dueDate <= now);
+  const dueSoon =
+    (kmRemaining !== null && kmRemaining <= withinKm) ||
+    (daysRemaining !== null && daysRemaining <= withinDays);
+
+  let status = "OK";
+  if (!intervalKm && !intervalDays) status = "NO_INTERVAL";
+  else if (overdue) status = "OVERDUE";
+  else if (dueSoon) status = "DUE";
+
+  return {
+    status,
+    intervalKm,
+    intervalDays,
+    odometerKm: bike.odometerKm,
+    lastService: lastService
+      ? {
+          id: lastService.id,
+          date: lastService.date,
+          odometerKm: lastService.odometerKm,
+          workDone: lastService.workDone,
+        }
+      : null,
+    dueAtKm,
+    kmRemaining,
+    dueDate,
+    daysRemaining,
+  };
+};
+
+/**
+ * Service state for many bikes in a fixed number of queries (org, latest
+ * service per bike, first reading per bike). Returns bikeId → state.
+ */
+export const loadServiceStatuses = async ({ orgId, bikes, ...options }) => {
+  const bikeIds = bikes.map((b) => b.id);
+
+  const org = await prisma.organization.findUnique({
+    where: { id: orgId },
+    select: { serviceIntervalKm: true, serviceIntervalDays: true },
+  });
+
+  const lastServices = await prisma.serviceRecord.findMany({
+    where: { organizationId: orgId, bikeId: { in: bikeIds } },
+    orderBy: [{ date: "desc" }, { createdAt: "desc" }],
+    distinct: ["bikeId"],
+  });
+  const serviceByBike = new Map(lastServices.map((s) => [s.bikeId, s]));
+
+  const firstReadings = await prisma.odometerReading.findMany({
+    where: { organizationId: orgId, bikeId: { in: bikeIds } },
+    orderBy: { recordedAt: "asc" },
+    distinct: ["bikeId"],
+  });
+  const readingByBike = new Map(firstReadings.map((r) => [r.bikeId, r]));
+
+  return new Map(
+    bikes.map((bike) => [
+      bike.id,
+      computeServiceDue({
+        bike,
+        org,
+        lastService: serviceByBike.get(bike.id),
+        firstReading: readingByBike.get(bike.id),
+        ...options,
+      }),
+    ])
+  );
+};
@@ -0,0 +1,124 @@
+// src/services/session.service.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+// "<sessionId>.<secret>" — the id finds the row, the secret proves it
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || "").split(".");
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+/**
+ * Short-lived access token. `sessionId` lets authenticate reject it as soon
+ * as the session is revoked; tokenVersion does the same for deactivation.
+ */
+export const signAccessToken = (account, sessionId) =>
+  jwt.sign(
+    {
+      accountId: account.id,
+      organizationId: account.organizationId,
+      role: account.role,
+      tokenVersion: account.tokenVersion,
+      sessionId,
+    },
+    env.JWT_SECRET,
+    { expiresIn: env.JWT_EXPIRES_IN }
+  );
+
+const clientInfo = (req) => ({
+  userAgent: req?.headers?.["user-agent"]?.slice(0, 255) || null,
+  ip: req?.ip || null,
+});
+
+/** Start a session for a fresh login; returns both tokens */
+export async function createSession(account, req, client = prisma) {
+  const secret = newSecret();
+  const session = await client.session.create({
+    data: {
+      accountId: account.id,
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + env.REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      ...clientInfo(req),
+    },
+  });
+
+  return {
+    token: signAccessToken(account, session.id),
+    refreshToken: formatRefreshToken(session.id, secret),
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Swap a refresh token for a new pair. Each refresh token works once: a
+ * second use means it was copied, so the whole session is revoked.
+ * Returns { error } or { account, token, refreshToken, refreshExpiresAt }.
+ */
+export async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: "Invalid refresh token" };
+
+  const now = new Date();
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { account: true },
+  });
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    return { error: "Session expired" };
+  }
+  if (!session.account.active) {
+    return { error: "Account is deactivated" };
+  }
+
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+  // only succeeds for the current token, so two racing refreshes can't both win
+  const rotated = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: presented,
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: now,
+      ...clientInfo(req),
+    },
+  });
+
+  if (rotated.count === 0) {
+    await revokeSessions({ id: session.id }, "refresh token reuse");
+    return { error: "Refresh token already used; session revoked" };
+  }
+
+  return {
+    account: session.account,
+    token: signAccessToken(session.account, session.id),
+    refreshToken: formatRefreshToken(session.id, secret),
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/** Revoke every live session matching `where` (e.g. { accountId }) */
+export const revokeSessions = (where, reason, client = prisma) =>
+  client.session.updateMany({
+    where: { ...where, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+/** Live = not revoked, refresh token not expired */
+export const liveSessionFilter = (now = new Date()) => ({
+  revokedAt: null,
+  expiresAt: { gt: now },
+});
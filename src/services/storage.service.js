@@ -0,0 +1,56 @@
+// src/services/storage.service.js
+import fs from "fs/promises";
+import path from "path";
+import env from "../config/env.js";
+
+/**
+ * File storage behind a small interface so uploads can move off local disk
+ * without touching callers. A driver implements:
+ *   save(key, buffer, contentType) → Promise<void>
+ *   read(key) → Promise<Buffer>
+ *   remove(key) → Promise<void>
+ * Keys are generated server-side (e.g. "inspections/<bookingId>/<uuid>.jpg").
+ */
+const drivers = {
+  local: () => {
+    const root = path.resolve(env.UPLOAD_DIR);
+
+    // never let a key escape the upload directory
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      save: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+      },
+      read: (key) => fs.readFile(resolve(key)),
+      remove: (key) => fs.rm(resolve(key), { force: true }),
+    };
+  },
+};
+
+/** Make another backend (S3, GCS, …) selectable via STORAGE_DRIVER */
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  instance = null;
+};
+
+let instance = null;
+
+export const getStorage = () => {
+  if (!instance) {
+    const factory = drivers[env.STORAGE_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${env.STORAGE_DRIVER}`);
+    }
+    instance = factory();
+  }
+  return instance;
+};
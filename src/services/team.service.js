@@ -0,0 +1,135 @@
+// src/services/team.service.js
+import crypto from "crypto";
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+
+export const ROLES = ["ADMIN", "STAFF"];
+
+// longest an admin may make an invite last
+export const MAX_INVITE_TTL_HOURS = 30 * 24;
+
+/** Shared org join code, e.g. ORG-7K2Q9X */
+export const generateInviteCode = () =>
+  "ORG-" + crypto.randomBytes(4).toString("hex").slice(0, 6).toUpperCase();
+
+export const generateInviteToken = () =>
+  crypto.randomBytes(24).toString("base64url");
+
+export const inviteLink = (token) => `${env.APP_URL}/invite/${token}`;
+
+/** What team endpoints show about an account — never the password hash */
+export const memberSelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  role: true,
+  customRole: { select: { id: true, name: true } },
+  active: true,
+  deactivatedAt: true,
+  lockedUntil: true,
+  totpEnabledAt: true,
+  createdAt: true,
+};
+
+/** Pending = not accepted, not revoked, not expired */
+export const pendingInviteFilter = (now = new Date()) => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { gt: now },
+});
+
+export const inviteStatus = (invite, now = new Date()) => {
+  if (invite.acceptedAt) return "ACCEPTED";
+  if (invite.revokedAt) return "REVOKED";
+  if (invite.expiresAt <= now) return "EXPIRED";
+  return "PENDING";
+};
+
+/**
+ * Validate { role, customRoleId } for an account or invite. customRoleId
+ * must be a role of this org (null clears it); custom roles only apply to
+ * STAFF, so ADMIN always drops it.
+ * Returns { data } or { error }.
+ */
+export async function parseRoleAssignment(
+  body,
+  orgId,
+  { partial = false } = {}
+) {
+  const data = {};
+
+  if (body.role !== undefined || !partial) {
+    const role = body.role ?? "STAFF";
+    if (!ROLES.includes(role)) {
+      return { error: `role must be one of ${ROLES.join(", ")}` };
+    }
+    data.role = role;
+  }
+
+  if (body.customRoleId !== undefined) {
+    if (body.customRoleId === null) {
+      data.customRoleId = null;
+    } else {
+      const role = await prisma.orgRole.findFirst({
+        where: { id: body.customRoleId, organizationId: orgId },
+        select: { id: true, name: true },
+      });
+      if (!role || role.name === "STAFF") {
+        return { error: "Custom role not found" };
+      }
+      data.customRoleId = role.id;
+    }
+  }
+
+  if (data.role === "ADMIN") data.customRoleId = null;
+
+  return { data };
+}
+
+/**
+ * Records an account is named on as the one who did the work. Deleting the
+ * account would blank that out (the relations are SetNull), so members
+ * with any of these can only be deactivated.
+ */
+const ACTIVITY_RELATIONS = [
+  "leadActivities",
+  "paymentsCollected",
+  "paymentsVoided",
+  "depositsSettled",
+  "depositDeductions",
+  "odometerReadings",
+  "serviceRecords",
+  "inspections",
+  "customerFlagsRaised",
+  "customerFlagsCleared",
+  "riskOverrides",
+];
+
+export async function hasActivity(accountId, client = prisma) {
+  const account = await client.account.findUnique({
+    where: { id: accountId },
+    select: {
+      _count: {
+        select: Object.fromEntries(ACTIVITY_RELATIONS.map((r) => [r, true])),
+      },
+    },
+  });
+  return Object.values(account?._count || {}).some((n) => n > 0);
+}
+
+/**
+ * Would the change leave the org without an active ADMIN? `accountId` is
+ * the account losing admin rights (demoted, deactivated or removed).
+ */
+export async function isLastAdmin(accountId, orgId, client = prisma) {
+  const others = await client.account.count({
+    where: {
+      organizationId: orgId,
+      role: "ADMIN",
+      active: true,
+      id: { not: accountId },
+    },
+  });
+  return others === 0;
+}
@@ -0,0 +1,113 @@
+// src/services/twoFactor.service.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../config/prisma.js";
+import env from "../config/env.js";
+import { verifyTotp } from "../utils/totp.js";
+
+export const BACKUP_CODE_COUNT = 10;
+
+// time allowed between the password step and the code step of login
+const CHALLENGE_EXPIRES_IN = "5m";
+
+// ─── secret encryption (AES-256-GCM) ────────────────────────────────
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(env.TOTP_ENCRYPTION_KEY || env.JWT_SECRET)
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64url"))
+    .join(".");
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+// ─── backup codes ───────────────────────────────────────────────────
+const hashBackupCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/** Fresh codes ("a1b2-c3d4") to show once, plus the hashes to store */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Check the second factor for an enrolled account: a TOTP `code`, or a
+ * `backupCode` which is used up. A TOTP code is accepted once — the step
+ * is recorded so the same code can't be replayed inside its window.
+ */
+export async function verifySecondFactor(account, { code, backupCode }) {
+  if (!account.totpEnabledAt || !account.totpSecret) return false;
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    if (!account.totpBackupCodes.includes(hash)) return false;
+    const used = await prisma.account.updateMany({
+      where: { id: account.id, totpBackupCodes: { has: hash } },
+      data: {
+        totpBackupCodes: account.totpBackupCodes.filter((h) => h !== hash),
+      },
+    });
+    return used.count === 1;
+  }
+
+  const step = verifyTotp(decryptSecret(account.totpSecret), code);
+  if (step === null) return false;
+
+  const claimed = await prisma.account.updateMany({
+    where: {
+      id: account.id,
+      OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+    },
+    data: { totpLastStep: step },
+  });
+  return claimed.count === 1;
+}
+
+// ─── login challenge ────────────────────────────────────────────────
+/**
+ * Proof the password step passed. It has no session id, so
+ * authenticate never accepts it as an access token.
+ */
+export const signChallengeToken = (account) =>
+  jwt.sign({ accountId: account.id, purpose: "2fa" }, env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+/** accountId from a valid challenge token, or null */
+export const readChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), env.JWT_SECRET);
+    return payload.purpose === "2fa" ? payload.accountId : null;
+  } catch {
+    return null;
+  }
+};
+
+/** An ADMIN in an org that requires 2FA who hasn't enrolled yet */
+export const needsTwoFactorSetup = (account, organization) =>
+  !!organization?.requireAdmin2fa &&
+  account.role === "ADMIN" &&
+  !account.totpEnabledAt;
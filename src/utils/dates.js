@@ -0,0 +1,49 @@
+// src/utils/dates.js
+
+/** Helpers: day normalization & calculations */
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const startOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+
+export const endOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(23, 59, 59, 999);
+  return x;
+};
+
+export const nextDay = (d) => {
+  return new Date(startOfDay(d).getTime() + MS_PER_DAY);
+};
+
+export const today = () => startOfDay(new Date());
+
+/** Utility: calculate total rental days (inclusive) */
+export const calculateDays = (start, end) => {
+  const s = startOfDay(start).getTime();
+  const e = startOfDay(end).getTime();
+  // inclusive days (if start == end => 1 day)
+  return Math.max(1, Math.floor((e - s) / MS_PER_DAY) + 1);
+};
+
+export const MS_PER_HOUR = 60 * 60 * 1000;
+export const MS_PER_MINUTE = 60 * 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a booking pickup/return input.
+ * Full timestamps are kept exactly; a bare "YYYY-MM-DD" (older clients)
+ * still means the whole day — start of day for pickup, end of day for return.
+ */
+export const parseBookingTime = (raw, edge) => {
+  if (typeof raw === "string" && DATE_ONLY.test(raw)) {
+    const [y, m, d] = raw.split("-").map(Number);
+    const day = new Date(y, m - 1, d);
+    return edge === "end" ? endOfDay(day) : day;
+  }
+  return new Date(raw);
+};
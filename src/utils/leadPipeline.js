@@ -0,0 +1,27 @@
+// src/utils/leadPipeline.js
+
+/** Every stage a lead can be in, in pipeline order */
+export const LEAD_STATUSES = ["new", "contacted", "quoted", "won", "lost"];
+
+/** Stages that still need work from staff */
+export const OPEN_LEAD_STATUSES = ["new", "contacted", "quoted"];
+
+/**
+ * Allowed moves between stages.
+ * Leads move forward (skipping is fine), can be dropped to "lost" at any
+ * open stage, and a lost lead can be reopened. "won" is final.
+ */
+const TRANSITIONS = {
+  new: ["contacted", "quoted", "won", "lost"],
+  contacted: ["quoted", "won", "lost"],
+  quoted: ["contacted", "won", "lost"],
+  won: [],
+  lost: ["new", "contacted"],
+};
+
+export const isLeadStatus = (status) => LEAD_STATUSES.includes(status);
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+export const allowedTransitions = (from) => TRANSITIONS[from] || [];
@@ -0,0 +1,55 @@
+// src/utils/permissions.js
+
+/**
+ * Everything a role can be allowed to do, with the label shown in the
+ * settings UI. ADMIN always holds all of them; STAFF gets
+ * DEFAULT_STAFF_PERMISSIONS until the org changes it, and custom roles can
+ * hold any subset.
+ */
+export const PERMISSIONS = {
+  "bikes.manage": "Add and edit bikes, maintenance, service and odometer",
+  "bikes.delete": "Delete bikes",
+  "bikes.rates": "Change a bike's daily rate",
+  "pricing.manage": "Manage rate cards, seasons and holidays",
+  "bookings.manage": "Create, edit, extend, pick up and return bookings",
+  "bookings.delete": "Delete bookings",
+  "payments.record": "Record payments and collect deposits",
+  "payments.void": "Void payments",
+  "customers.manage": "Create, edit and flag customers",
+  "customers.clearFlags": "Clear customer risk flags",
+  "customers.overrideRisk": "Book customers who carry a risk warning",
+  "leads.manage": "Create, update, assign and convert leads",
+  "leads.delete": "Delete leads",
+  "leads.intakeKey": "Rotate the lead intake key",
+  "reports.revenue": "See revenue figures",
+  "settings.manage": "Change organization settings",
+  "roles.manage": "Edit roles and their permissions",
+  "team.manage": "Invite, deactivate and remove members, change their roles",
+  "audit.view": "View the audit log",
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+export const DEFAULT_STAFF_PERMISSIONS = [
+  "bikes.manage",
+  "bookings.manage",
+  "payments.record",
+  "customers.manage",
+  "leads.manage",
+];
+
+/**
+ * Held by ADMIN only: they can't be granted to STAFF or a custom role.
+ * Booking past a customer's risk warning and reading the audit log are
+ * admin calls by design.
+ */
+export const ADMIN_ONLY_PERMISSIONS = ["customers.overrideRisk", "audit.view"];
+
+/** Built-in roles (the Role enum); only STAFF's permissions are editable */
+export const BUILT_IN_ROLES = ["ADMIN", "STAFF"];
+
+export const isPermission = (p) => ALL_PERMISSIONS.includes(p);
+
+/** A permission STAFF or a custom role may hold */
+export const isGrantable = (p) =>
+  isPermission(p) && !ADMIN_ONLY_PERMISSIONS.includes(p);
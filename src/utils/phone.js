@@ -0,0 +1,20 @@
+// src/utils/phone.js
+import env from "../config/env.js";
+
+/**
+ * Canonical form of a phone number, used to match customers: "+" and the
+ * digits, with the default country code added to local numbers
+ * ("98765 43210", "098765-43210" and "+91 98765 43210" are all
+ * "+919876543210"). Returns null when there aren't enough digits.
+ * Keep in step with the backfill in the customers migration.
+ */
+export const normalizePhone = (raw) => {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  if (digits.length < 7) return null;
+
+  if (digits.length === 10) return `+${env.DEFAULT_COUNTRY_CODE}${digits}`;
+  if (digits.length === 11 && digits.startsWith("0")) {
+    return `+${env.DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  }
+  return `+${digits}`;
+};
@@ -0,0 +1,94 @@
+// src/utils/totp.js
+import crypto from "crypto";
+
+/**
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30 s steps) — what Google Authenticator,
+ * Authy and 1Password expect by default.
+ */
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_S = 30;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+};
+
+export const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of clean) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+};
+
+/** 160-bit secret, base32 as authenticator apps want it */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const timeStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_PERIOD_S);
+
+export const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a code, allowing one step of clock drift either way.
+ * Returns the matching step (so callers can refuse replays) or null.
+ */
+export const verifyTotp = (secret, code, now = Date.now()) => {
+  const clean = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const current = timeStep(now);
+  for (const step of [current - 1, current, current + 1]) {
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/** otpauth:// URI the app turns into a QR code */
+export const otpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_S),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
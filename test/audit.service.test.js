@@ -0,0 +1,86 @@
+// test/audit.service.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffRecords } from "../src/services/audit.service.js";
+
+describe("diffRecords", () => {
+  it("keeps only the fields that changed", () => {
+    assert.deepEqual(
+      diffRecords(
+        { id: "b", name: "Activa", dailyRate: 500 },
+        { id: "b", name: "Activa", dailyRate: 650 }
+      ),
+      { before: { dailyRate: 500 }, after: { dailyRate: 650 } }
+    );
+  });
+
+  it("is empty when nothing changed but updatedAt", () => {
+    assert.deepEqual(
+      diffRecords(
+        { id: "b", status: "AVAILABLE", updatedAt: new Date(0) },
+        { id: "b", status: "AVAILABLE", updatedAt: new Date(1) }
+      ),
+      { before: {}, after: {} }
+    );
+  });
+
+  it("never includes secrets", () => {
+    const diff = diffRecords(
+      { id: "a", name: "Old", passwordHash: "x", totpSecret: "s" },
+      { id: "a", name: "New", passwordHash: "y", totpSecret: "t" }
+    );
+    assert.deepEqual(diff, { before: { name: "Old" }, after: { name: "New" } });
+  });
+
+  it("skips nested relations and compares dates by value", () => {
+    const diff = diffRecords(
+      {
+        id: "k",
+        endDate: new Date("2026-01-05T10:00:00Z"),
+        bike: { id: "x" },
+        payments: [{ id: "p" }],
+      },
+      {
+        id: "k",
+        endDate: new Date("2026-01-06T10:00:00Z"),
+        bike: { id: "y" },
+        payments: [{ id: "p" }, { id: "q" }],
+      }
+    );
+    assert.deepEqual(diff, {
+      before: { endDate: "2026-01-05T10:00:00.000Z" },
+      after: { endDate: "2026-01-06T10:00:00.000Z" },
+    });
+  });
+
+  it("audits Json columns of the given model", () => {
+    const before = {
+      id: "k",
+      totalAmount: 500,
+      priceBreakdown: { lineItems: [{ type: "BASE", amount: 500 }] },
+    };
+    const after = {
+      id: "k",
+      totalAmount: 500,
+      priceBreakdown: {
+        lineItems: [
+          { type: "BASE", amount: 500 },
+          { type: "LATE_FEE", amount: 0, waived: { amount: 80 } },
+        ],
+      },
+    };
+    assert.deepEqual(diffRecords(before, after, "Booking"), {
+      before: { priceBreakdown: before.priceBreakdown },
+      after: { priceBreakdown: after.priceBreakdown },
+    });
+    // without the model it can't tell the column from a relation
+    assert.deepEqual(diffRecords(before, after), { before: {}, after: {} });
+  });
+
+  it("reports fields new on the record as null before", () => {
+    assert.deepEqual(diffRecords(null, { id: "c", notes: "hi" }), {
+      before: { id: null, notes: null },
+      after: { id: "c", notes: "hi" },
+    });
+  });
+});
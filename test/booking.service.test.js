@@ -0,0 +1,81 @@
+// test/booking.service.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OPEN_BOOKING_STATUSES,
+  clashFilter,
+  mergeBookingChains,
+} from "../src/services/booking.service.js";
+import { MS_PER_DAY, MS_PER_HOUR } from "../src/utils/dates.js";
+
+describe("clashFilter", () => {
+  const start = new Date(Date.now() + 2 * MS_PER_DAY);
+  const end = new Date(start.getTime() + MS_PER_DAY);
+
+  it("matches open bookings overlapping the window", () => {
+    assert.deepEqual(clashFilter({ startDate: start, endDate: end }), {
+      OR: [
+        {
+          status: { in: OPEN_BOOKING_STATUSES },
+          startDate: { lt: end },
+          endDate: { gt: start },
+        },
+      ],
+    });
+  });
+
+  it("widens the window by the buffer on both sides", () => {
+    const bufferMs = 2 * MS_PER_HOUR;
+    const [open] = clashFilter({ startDate: start, endDate: end, bufferMs }).OR;
+    assert.equal(open.startDate.lt.getTime(), end.getTime() + bufferMs);
+    assert.equal(open.endDate.gt.getTime(), start.getTime() - bufferMs);
+  });
+
+  it("counts OVERDUE bookings once the window reaches now", () => {
+    const soon = new Date(Date.now() + MS_PER_HOUR);
+    const later = new Date(soon.getTime() + MS_PER_DAY);
+
+    const { OR } = clashFilter({ startDate: soon, endDate: later });
+    assert.equal(OR.length, 1);
+
+    // the turnaround buffer pulls the window back past now
+    const buffered = clashFilter({
+      startDate: soon,
+      endDate: later,
+      bufferMs: 2 * MS_PER_HOUR,
+    });
+    assert.deepEqual(buffered.OR[1], {
+      status: "OVERDUE",
+      startDate: { lt: new Date(later.getTime() + 2 * MS_PER_HOUR) },
+    });
+  });
+});
+
+describe("mergeBookingChains", () => {
+  const at = (h) => new Date(Date.UTC(2026, 0, 5, h));
+  const b = (id, from, to) => ({ id, startDate: at(from), endDate: at(to) });
+
+  it("merges overlapping bookings and keeps gaps apart", () => {
+    const chains = mergeBookingChains([
+      b("a", 0, 4),
+      b("b", 3, 6),
+      b("c", 8, 10),
+    ]);
+    assert.deepEqual(
+      chains.map((c) => [c.ids, c.start, c.end]),
+      [
+        [["a", "b"], at(0), at(6)],
+        [["c"], at(8), at(10)],
+      ]
+    );
+  });
+
+  it("chains bookings whose gap fits inside the buffer", () => {
+    const chains = mergeBookingChains(
+      [b("a", 0, 4), b("c", 6, 8)],
+      2 * MS_PER_HOUR
+    );
+    assert.equal(chains.length, 1);
+    assert.deepEqual(chains[0].ids, ["a", "c"]);
+  });
+});
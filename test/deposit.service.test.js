@@ -0,0 +1,35 @@
+// test/deposit.service.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeSettlement } from "../src/services/deposit.service.js";
+
+describe("computeSettlement", () => {
+  it("refunds the whole deposit when nothing is deducted", () => {
+    for (const none of [undefined, null, []]) {
+      assert.deepEqual(computeSettlement(100, none), {
+        deductions: [],
+        totalDeducted: 0,
+        refundAmount: 100,
+        status: "REFUNDED",
+      });
+    }
+  });
+
+  it("splits the deposit between deductions and refund", () => {
+    const partial = computeSettlement(100, [
+      { amount: 30, reason: "Scratched panel" },
+    ]);
+    assert.equal(partial.refundAmount, 70);
+    assert.equal(partial.status, "PARTIALLY_REFUNDED");
+
+    const all = computeSettlement(100, [{ amount: 100, reason: "Lost key" }]);
+    assert.equal(all.status, "FORFEITED");
+  });
+
+  it("rejects bad deductions", () => {
+    assert.ok(computeSettlement(100, "30").error);
+    assert.ok(computeSettlement(100, [{ amount: 30 }]).error);
+    assert.ok(computeSettlement(100, [{ amount: 0, reason: "x" }]).error);
+    assert.ok(computeSettlement(100, [{ amount: 130, reason: "x" }]).error);
+  });
+});
@@ -0,0 +1,45 @@
+// test/loginGuard.service.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LOCKOUT_THRESHOLD,
+  isLocked,
+  lockDurationMs,
+} from "../src/services/loginGuard.service.js";
+
+const MINUTE = 60 * 1000;
+
+describe("lockDurationMs", () => {
+  it("doesn't lock below the threshold", () => {
+    for (let n = 0; n < LOCKOUT_THRESHOLD; n++) {
+      assert.equal(lockDurationMs(n), 0);
+    }
+  });
+
+  it("doubles from one minute at the threshold", () => {
+    assert.equal(lockDurationMs(LOCKOUT_THRESHOLD), MINUTE);
+    assert.equal(lockDurationMs(LOCKOUT_THRESHOLD + 1), 2 * MINUTE);
+    assert.equal(lockDurationMs(LOCKOUT_THRESHOLD + 3), 8 * MINUTE);
+  });
+
+  it("caps at a day", () => {
+    assert.equal(lockDurationMs(LOCKOUT_THRESHOLD + 20), 24 * 60 * MINUTE);
+    assert.equal(lockDurationMs(1000), 24 * 60 * MINUTE);
+  });
+});
+
+describe("isLocked", () => {
+  const now = new Date("2026-01-05T10:00:00Z");
+
+  it("is locked only until lockedUntil", () => {
+    assert.equal(isLocked({ lockedUntil: null }, now), false);
+    assert.equal(
+      isLocked({ lockedUntil: new Date(now.getTime() + MINUTE) }, now),
+      true
+    );
+    assert.equal(
+      isLocked({ lockedUntil: new Date(now.getTime() - MINUTE) }, now),
+      false
+    );
+  });
+});
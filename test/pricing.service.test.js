@@ -0,0 +1,154 @@
+// test/pricing.service.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_RENTAL_DAYS,
+  pickRateCard,
+  quotePrice,
+  rentalLengthError,
+} from "../src/services/pricing.service.js";
+
+// Mon 5 Jan 2026, local time; Sat 10 / Sun 11 are the weekend
+const day = (d, h = 10) => new Date(2026, 0, d, h);
+
+const card = (overrides = {}) => ({
+  id: "card",
+  name: "Standard",
+  bikeId: null,
+  category: null,
+  hourlyRate: null,
+  dailyRate: 100,
+  weeklyRate: null,
+  monthlyRate: null,
+  weekendSurchargePct: 0,
+  holidaySurchargePct: 0,
+  seasons: [],
+  ...overrides,
+});
+
+const bike = { id: "bike", category: "SCOOTER", dailyRate: 80 };
+
+const quote = (startDate, endDate, cards, holidays = []) =>
+  quotePrice({ bike, startDate, endDate, context: { cards, holidays } });
+
+describe("pickRateCard", () => {
+  const orgWide = card({ id: "org" });
+  const category = card({ id: "cat", category: "SCOOTER" });
+  const own = card({ id: "own", bikeId: "bike" });
+
+  it("prefers bike-specific, then category, then org-wide", () => {
+    assert.equal(pickRateCard(bike, [orgWide, category, own]).id, "own");
+    assert.equal(pickRateCard(bike, [orgWide, category]).id, "cat");
+    assert.equal(pickRateCard(bike, [orgWide]).id, "org");
+  });
+
+  it("falls back to the bike's daily rate", () => {
+    const fallback = pickRateCard(bike, []);
+    assert.equal(fallback.id, null);
+    assert.equal(fallback.dailyRate, 80);
+  });
+});
+
+describe("quotePrice", () => {
+  it("charges whole days at the daily rate", async () => {
+    const q = await quote(day(5), day(8), [card()]);
+    assert.equal(q.days, 3);
+    assert.equal(q.total, 300);
+  });
+
+  it("picks the cheapest tier mix", async () => {
+    // 6 days: one week (500) beats 6 × 100
+    const q = await quote(day(5), day(11), [card({ weeklyRate: 500 })]);
+    assert.deepEqual(
+      q.lineItems.map((i) => [i.unit, i.quantity]),
+      [["WEEK", 1]]
+    );
+    assert.equal(q.total, 500);
+
+    // 9 days: a week plus two days
+    const nine = await quote(day(5), day(14), [card({ weeklyRate: 500 })]);
+    assert.equal(nine.total, 700);
+  });
+
+  it("charges leftover hours hourly only while cheaper than a day", async () => {
+    const cheap = await quote(day(5), day(6, 13), [card({ hourlyRate: 10 })]);
+    assert.equal(cheap.days, 1);
+    assert.equal(cheap.hours, 3);
+    assert.equal(cheap.total, 130);
+
+    const dear = await quote(day(5), day(6, 13), [card({ hourlyRate: 40 })]);
+    assert.equal(dear.days, 2);
+    assert.equal(dear.hours, 0);
+    assert.equal(dear.total, 200);
+  });
+
+  it("adds weekend and holiday surcharges, holiday winning", async () => {
+    const surcharged = card({
+      weekendSurchargePct: 20,
+      holidaySurchargePct: 50,
+    });
+
+    // Fri → Sun: one weekend day
+    const weekend = await quote(day(9), day(11), [surcharged]);
+    assert.equal(weekend.total, 220);
+
+    // Saturday is also a holiday: only the holiday surcharge applies
+    const holiday = await quote(
+      day(10),
+      day(11),
+      [surcharged],
+      [{ date: day(10, 0), name: "Festival" }]
+    );
+    const types = holiday.lineItems.map((i) => i.type);
+    assert.deepEqual(types, ["BASE", "HOLIDAY_SURCHARGE"]);
+    assert.equal(holiday.total, 150);
+  });
+
+  it("drops the card's longer tiers when a season sets the daily rate", async () => {
+    const season = {
+      id: "peak",
+      name: "Peak",
+      startDate: day(1, 0),
+      endDate: new Date(2026, 0, 31, 23, 59),
+      dailyRate: 150,
+    };
+    const q = await quote(day(5), day(12), [
+      card({ weeklyRate: 500, seasons: [season] }),
+    ]);
+    assert.equal(q.total, 7 * 150);
+    assert.equal(q.lineItems[0].season, "Peak");
+  });
+
+  it("keeps the card's tiers when a season only changes other rates", async () => {
+    const season = {
+      id: "hourly",
+      name: "Hourly promo",
+      startDate: day(1, 0),
+      endDate: new Date(2026, 0, 31, 23, 59),
+      hourlyRate: 5,
+    };
+    const q = await quote(day(5), day(12), [
+      card({ weeklyRate: 500, seasons: [season] }),
+    ]);
+    assert.equal(q.total, 500);
+  });
+});
+
+describe("rentalLengthError", () => {
+  const start = new Date("2026-01-05T10:00:00Z");
+  const after = (days) =>
+    new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+
+  it("allows rentals up to MAX_RENTAL_DAYS", () => {
+    assert.equal(rentalLengthError(start, after(1)), null);
+    assert.equal(rentalLengthError(start, after(MAX_RENTAL_DAYS)), null);
+  });
+
+  it("rejects anything longer", () => {
+    assert.match(
+      rentalLengthError(start, after(MAX_RENTAL_DAYS + 1)),
+      /at most/
+    );
+    assert.ok(rentalLengthError(start, new Date("9999-12-31T23:59:59Z")));
+  });
+});
@@ -0,0 +1,23 @@
+// test/statusTransitions.job.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { noShowFilter } from "../src/jobs/statusTransitions.job.js";
+import { MS_PER_HOUR } from "../src/utils/dates.js";
+
+describe("noShowFilter", () => {
+  const now = new Date("2026-01-05T10:00:00Z");
+
+  it("catches bookings past the pickup grace period or their end", () => {
+    assert.deepEqual(noShowFilter(now, 24 * MS_PER_HOUR), {
+      OR: [
+        { startDate: { lt: new Date("2026-01-04T10:00:00Z") } },
+        { endDate: { lt: now } },
+      ],
+    });
+  });
+
+  it("defaults the grace period to NO_SHOW_GRACE_HOURS", () => {
+    const [byStart] = noShowFilter(now).OR;
+    assert.equal(now - byStart.startDate.lt, 24 * MS_PER_HOUR);
+  });
+});
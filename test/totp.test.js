@@ -0,0 +1,59 @@
+// test/totp.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpSecret,
+  timeStep,
+  totpCode,
+  verifyTotp,
+} from "../src/utils/totp.js";
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"; the RFC lists
+// 8-digit codes, we use their last 6
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+describe("base32", () => {
+  it("round-trips", () => {
+    const secret = generateTotpSecret();
+    assert.equal(base32Encode(base32Decode(secret)), secret);
+    assert.equal(SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  });
+});
+
+describe("totpCode", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    for (const [seconds, code] of VECTORS) {
+      assert.equal(totpCode(SECRET, timeStep(seconds * 1000)), code);
+    }
+  });
+});
+
+describe("verifyTotp", () => {
+  const now = 1234567890 * 1000;
+  const step = timeStep(now);
+
+  it("returns the matching step", () => {
+    assert.equal(verifyTotp(SECRET, "005924", now), step);
+    assert.equal(verifyTotp(SECRET, "005 924", now), step);
+  });
+
+  it("allows one step of drift either way", () => {
+    assert.equal(verifyTotp(SECRET, totpCode(SECRET, step - 1), now), step - 1);
+    assert.equal(verifyTotp(SECRET, totpCode(SECRET, step + 1), now), step + 1);
+    assert.equal(verifyTotp(SECRET, totpCode(SECRET, step + 2), now), null);
+  });
+
+  it("rejects malformed codes", () => {
+    for (const code of [undefined, "", "12345", "1234567", "abcdef"]) {
+      assert.equal(verifyTotp(SECRET, code, now), null);
+    }
+  });
+});